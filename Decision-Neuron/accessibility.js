@@ -0,0 +1,105 @@
+// ── Keyboard & Screen Reader Access ──
+// The heatmap canvas is focusable: arrow keys move the crosshair over the
+// current axis pair, Enter/Space drops an example in the click modes. A
+// hidden description says where the point sits, and a polite live region
+// reads out the output and decision once values stop changing.
+const ANNOUNCE_DELAY = 500;
+
+// ── DOM References ──
+const heatmapDesc = document.getElementById("heatmap-desc");
+const heatmapLive = document.getElementById("heatmap-live");
+
+// ── State ──
+let announceTimer = null;
+let lastAnnouncement = null;
+
+// ── Keyboard Movement ──
+// One slider step per press, ten with Shift; Home/End jump along X,
+// PageUp/PageDown along Y
+function moveCrosshair(key, coarse) {
+    const stepOf = i => ((INPUTS[i].max - INPUTS[i].min) / 100) * (coarse ? 10 : 1);
+    const clamp = (i, v) => Math.max(INPUTS[i].min, Math.min(INPUTS[i].max, v));
+    const values = getInputValues();
+    let x = values[axisX];
+    let y = values[axisY];
+
+    if (key === "ArrowLeft") x -= stepOf(axisX);
+    else if (key === "ArrowRight") x += stepOf(axisX);
+    else if (key === "ArrowUp") y += stepOf(axisY);
+    else if (key === "ArrowDown") y -= stepOf(axisY);
+    else if (key === "Home") x = INPUTS[axisX].min;
+    else if (key === "End") x = INPUTS[axisX].max;
+    else if (key === "PageUp") y = INPUTS[axisY].max;
+    else if (key === "PageDown") y = INPUTS[axisY].min;
+    else return false;
+
+    sliders[axisX].value = clamp(axisX, x);
+    sliders[axisY].value = clamp(axisY, y);
+    syncAll();
+    return true;
+}
+
+// ── Text Alternative ──
+function zDirection(values, i) {
+    const h = (INPUTS[i].max - INPUTS[i].min) * 1e-4;
+    const bias = getBias();
+    const up = [...values];
+    const down = [...values];
+    up[i] += h;
+    down[i] -= h;
+    const dz = computeZ(up, bias) - computeZ(down, bias);
+    if (Math.abs(dz) < 1e-12) return "does not move the output";
+    return dz > 0 ? "pushes toward Match" : "pushes toward Mismatch";
+}
+
+function describeHeatmap() {
+    const values = getInputValues();
+    if (values.length !== INPUTS.length) return;
+
+    const act = ACTIVATIONS[outputActivation];
+    const z = computeZ(values, getBias());
+    const out = act.fn(z);
+    const region = fires(out) ? "Match" : "Mismatch";
+    const xName = INPUTS[axisX].name;
+    const yName = INPUTS[axisY].name;
+    const xVal = values[axisX].toFixed(sliderDecimals(axisX));
+    const yVal = values[axisY].toFixed(sliderDecimals(axisY));
+
+    heatmapDesc.textContent =
+        `Point at ${xName} ${xVal} (range ${INPUTS[axisX].min} to ${INPUTS[axisX].max}), ` +
+        `${yName} ${yVal} (range ${INPUTS[axisY].min} to ${INPUTS[axisY].max}). ` +
+        `It lies in the ${region} region, ${Math.abs(z - thresholdZ()).toFixed(2)} from the boundary in z. ` +
+        `Increasing ${xName} ${zDirection(values, axisX)}; increasing ${yName} ${zDirection(values, axisY)}. ` +
+        `${examples.length} labeled example${examples.length === 1 ? "" : "s"} on the plot.`;
+
+    scheduleAnnouncement(`${act.symbol} ${out.toFixed(3)}. ${decisionEl.textContent}.`);
+}
+
+// ── Live Announcements ──
+// Debounced so a drag or a training run is read once it settles; the
+// very first description at load is not announced.
+function scheduleAnnouncement(text) {
+    if (lastAnnouncement === null) {
+        lastAnnouncement = text;
+        return;
+    }
+    if (announceTimer !== null) clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        announceTimer = null;
+        if (text === lastAnnouncement) return;
+        lastAnnouncement = text;
+        heatmapLive.textContent = text;
+    }, ANNOUNCE_DELAY);
+}
+
+// ── Events ──
+canvas.addEventListener("keydown", (e) => {
+    if ((e.key === "Enter" || e.key === " ") && pointMode !== "drag") {
+        e.preventDefault();
+        addExample(getInputValues(), parseInt(pointMode));
+        describeHeatmap();
+        heatmapLive.textContent = `Added a ${pointMode === "1" ? "Match" : "Mismatch"} example at the crosshair.`;
+        return;
+    }
+    if (moveCrosshair(e.key, e.shiftKey)) e.preventDefault();
+});
@@ -0,0 +1,190 @@
+// ── Contours ──
+// Marching squares over the output's 0–1 reading (the value the heatmap is
+// colored by) sampled on a grid of its own, so the boundary is a
+// continuous line whose smoothness does not depend on GRID_SIZE. The
+// decision boundary is the level at the threshold τ.
+const CONTOUR_RESOLUTION = 120;
+
+// Edge pairs crossed by the level line for each corner case
+// (bits: top-left 8, top-right 4, bottom-right 2, bottom-left 1).
+// Saddles 5 and 10 are resolved per cell from the centre value.
+const SEGMENT_TABLE = [
+    [], [["L", "B"]], [["B", "R"]], [["L", "R"]],
+    [["T", "R"]], null, [["T", "B"]], [["T", "L"]],
+    [["T", "L"]], [["T", "B"]], null, [["T", "R"]],
+    [["L", "R"]], [["B", "R"]], [["L", "B"]], []
+];
+
+// ── DOM References ──
+const isoToggles = document.querySelectorAll(".iso-toggle");
+
+// ── State ──
+const isoLevels = new Set();
+
+// ── Field Sampling ──
+// The output's 0–1 reading at every grid vertex, row-major, (n + 1) × (n + 1)
+function sampleOutputField(values, bias, n) {
+    const field = new Float64Array((n + 1) * (n + 1));
+    const v = [...values];
+    for (let j = 0; j <= n; j++) {
+        v[axisY] = inputAt(axisY, 1 - j / n);
+        for (let i = 0; i <= n; i++) {
+            v[axisX] = inputAt(axisX, i / n);
+            field[j * (n + 1) + i] = outputToUnit(activate(computeZ(v, bias)));
+        }
+    }
+    return field;
+}
+
+// ── Marching Squares ──
+function traceLevel(field, n, level, w, h) {
+    const at = (i, j) => field[j * (n + 1) + i];
+    const segments = [];
+
+    // The crossing on an edge, keyed by the edge so neighbours share points
+    function crossing(edge, i, j) {
+        let i2 = i, j2 = j, key;
+        if (edge === "T") { i2 = i + 1; key = `h${i},${j}`; }
+        else if (edge === "B") { j++; i2 = i + 1; j2 = j; key = `h${i},${j}`; }
+        else if (edge === "L") { j2 = j + 1; key = `v${i},${j}`; }
+        else { i++; i2 = i; j2 = j + 1; key = `v${i},${j}`; }
+
+        const a = at(i, j);
+        const b = at(i2, j2);
+        const t = b === a ? 0.5 : (level - a) / (b - a);
+        return {
+            key,
+            x: (i + (i2 - i) * t) / n * w,
+            y: (j + (j2 - j) * t) / n * h
+        };
+    }
+
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const tl = at(i, j), tr = at(i + 1, j), br = at(i + 1, j + 1), bl = at(i, j + 1);
+            const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+
+            let pairs = SEGMENT_TABLE[index];
+            if (pairs === null) {
+                const centreAbove = (tl + tr + br + bl) / 4 >= level;
+                pairs = (index === 5) === centreAbove
+                    ? [["T", "L"], ["B", "R"]]
+                    : [["T", "R"], ["L", "B"]];
+            }
+            for (const [e1, e2] of pairs) {
+                segments.push([crossing(e1, i, j), crossing(e2, i, j)]);
+            }
+        }
+    }
+    return chainSegments(segments);
+}
+
+// Joins segments that share an edge crossing into polylines
+function chainSegments(segments) {
+    const byKey = new Map();
+    segments.forEach((seg, idx) => {
+        for (const p of seg) {
+            if (!byKey.has(p.key)) byKey.set(p.key, []);
+            byKey.get(p.key).push(idx);
+        }
+    });
+
+    const used = new Uint8Array(segments.length);
+    const extend = (line) => {
+        for (;;) {
+            const last = line[line.length - 1];
+            const next = (byKey.get(last.key) || []).find(idx => !used[idx]);
+            if (next === undefined) return;
+            used[next] = 1;
+            const [a, b] = segments[next];
+            line.push(a.key === last.key ? b : a);
+        }
+    };
+
+    const lines = [];
+    segments.forEach((seg, idx) => {
+        if (used[idx]) return;
+        used[idx] = 1;
+        const line = [seg[0], seg[1]];
+        extend(line);
+        line.reverse();
+        extend(line);
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Levels are 0–1 readings; labels give the output each one stands for
+function levelLabel(level) {
+    const act = ACTIVATIONS[outputActivation];
+    return `${act.symbol}=${Number(act.fn(act.thresholdZ(level)).toFixed(3))}`;
+}
+
+// Polylines for the boundary plus every enabled iso-level, in canvas pixels
+function computeContours(values, bias) {
+    const n = CONTOUR_RESOLUTION;
+    const field = sampleOutputField(values, bias, n);
+    const levels = [decisionThreshold, ...[...isoLevels].sort((a, b) => a - b)];
+    return levels.map((level, k) => ({
+        level,
+        boundary: k === 0,
+        lines: traceLevel(field, n, level, canvas.width, canvas.height)
+    }));
+}
+
+// ── Drawing ──
+function strokePolyline(target, line) {
+    target.beginPath();
+    line.forEach((p, k) => {
+        if (k === 0) target.moveTo(p.x, p.y);
+        else target.lineTo(p.x, p.y);
+    });
+    target.stroke();
+}
+
+function drawContourLabel(target, text, p) {
+    target.font = "bold 10px monospace";
+    const tw = target.measureText(text).width;
+    target.fillStyle = "rgba(13,17,23,0.75)";
+    target.fillRect(p.x - tw / 2 - 3, p.y - 7, tw + 6, 14);
+    target.fillStyle = "#e6edf3";
+    target.textAlign = "center";
+    target.textBaseline = "middle";
+    target.fillText(text, p.x, p.y);
+}
+
+function drawContours(target, contours) {
+    target.lineJoin = "round";
+    for (const { boundary, lines } of contours) {
+        if (boundary) {
+            // Dark casing keeps the gold line visible over the white band
+            target.strokeStyle = "rgba(13,17,23,0.6)";
+            target.lineWidth = 4.5;
+            lines.forEach(line => strokePolyline(target, line));
+            target.strokeStyle = "#FFD700";
+            target.lineWidth = 2.5;
+            lines.forEach(line => strokePolyline(target, line));
+        } else {
+            target.setLineDash([5, 4]);
+            target.strokeStyle = "rgba(13,17,23,0.65)";
+            target.lineWidth = 1.2;
+            lines.forEach(line => strokePolyline(target, line));
+            target.setLineDash([]);
+        }
+    }
+
+    // One label per level, halfway along its longest line
+    for (const { level, lines } of contours) {
+        if (lines.length === 0) continue;
+        const longest = lines.reduce((a, b) => (b.length > a.length ? b : a));
+        drawContourLabel(target, levelLabel(level), longest[Math.floor(longest.length / 2)]);
+    }
+}
+
+// ── Events ──
+isoToggles.forEach(toggle => toggle.addEventListener("change", () => {
+    const level = parseFloat(toggle.value);
+    if (toggle.checked) isoLevels.add(level);
+    else isoLevels.delete(level);
+    renderHeatmap();
+}));
@@ -0,0 +1,161 @@
+// ── Labeled Examples ──
+// Each example is a full snapshot of the slider values plus a label:
+// 1 = wore matching socks, 0 = didn't.
+const examples = [];
+
+const MARKER_MATCH = "rgb(255,80,180)";
+const MARKER_MISMATCH = "rgb(80,90,200)";
+const MARKER_WRONG = "#ff3b3b";
+const MARKER_FOCUS = "#FFD700";
+
+// ── DOM References ──
+const addPositiveBtn = document.getElementById("add-positive");
+const addNegativeBtn = document.getElementById("add-negative");
+const clearExamplesBtn = document.getElementById("clear-examples");
+const examplesBody = document.getElementById("examples-body");
+const examplesSummary = document.getElementById("examples-summary");
+const pointModeRadios = document.querySelectorAll('input[name="point-mode"]');
+
+// ── State ──
+// "drag" moves the crosshair; "1" / "0" drop a labeled example on click
+let pointMode = "drag";
+
+// ── Dataset Operations ──
+function addExample(values, label) {
+    examples.push({ values: [...values], label });
+    refreshDataset();
+}
+
+function removeExample(index) {
+    examples.splice(index, 1);
+    refreshDataset();
+}
+
+// A running perceptron pauses whenever the example set is swapped out
+function replaceExamples(list) {
+    pausePerceptron();
+    examples.length = 0;
+    examples.push(...list);
+    refreshDataset();
+}
+
+function clearExamples() {
+    pausePerceptron();
+    examples.length = 0;
+    refreshDataset();
+}
+
+function refreshDataset() {
+    // Z-score statistics come from the examples, so every view moves with them
+    if (normalization === "zscore") {
+        syncAll();
+        return;
+    }
+    renderExamplesTable();
+    renderHeatmap();
+    renderEvaluation();
+}
+
+function isCorrect(ex) {
+    return classify(ex.values) === ex.label;
+}
+
+// Mean of the selected loss over all examples
+function meanExampleLoss() {
+    let total = 0;
+    for (const ex of examples) {
+        total += outputLoss(neuronOutput(ex.values), ex.label);
+    }
+    return total / examples.length;
+}
+
+// A heatmap click only picks the two axis values; the other inputs
+// come from the current sliders so the example is a full vector.
+function addExampleAtPointer(e) {
+    const { xVal, yVal } = heatmapPointerToValues(e);
+    const values = getInputValues();
+    values[axisX] = xVal;
+    values[axisY] = yVal;
+    addExample(values, parseInt(pointMode));
+}
+
+// ── Heatmap Markers ──
+function drawExamplePoints() {
+    const focus = perceptronFocusExample();
+    for (const ex of examples) {
+        const { px, py } = projectToCanvas(ex.values);
+
+        // The example behind the perceptron update on screen
+        if (ex === focus) {
+            ctx.beginPath();
+            ctx.arc(px, py, 14, 0, Math.PI * 2);
+            ctx.strokeStyle = MARKER_FOCUS;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([4, 3]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        if (!isCorrect(ex)) {
+            ctx.beginPath();
+            ctx.arc(px, py, 9, 0, Math.PI * 2);
+            ctx.strokeStyle = MARKER_WRONG;
+            ctx.lineWidth = 2.5;
+            ctx.stroke();
+        }
+
+        ctx.beginPath();
+        if (ex.label === 1) {
+            ctx.arc(px, py, 5, 0, Math.PI * 2);
+        } else {
+            ctx.rect(px - 4.5, py - 4.5, 9, 9);
+        }
+        ctx.fillStyle = ex.label === 1 ? MARKER_MATCH : MARKER_MISMATCH;
+        ctx.fill();
+        ctx.strokeStyle = "#0d1117";
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+}
+
+// ── Examples Table ──
+function renderExamplesTable() {
+    if (examples.length === 0) {
+        examplesBody.innerHTML = `<tr><td colspan="5" class="empty-row">No examples yet</td></tr>`;
+        examplesSummary.textContent = "";
+        return;
+    }
+
+    let html = "";
+    let correct = 0;
+    examples.forEach((ex, i) => {
+        const isMatch = ex.label === 1;
+        const ok = isCorrect(ex);
+        if (ok) correct++;
+        html += `<tr class="${ok ? "" : "misclassified"}">
+            <td>${i + 1}</td>
+            <td>${ex.values.map((v, j) => v.toFixed(sliderDecimals(j))).join(", ")}</td>
+            <td class="${isMatch ? "contribution-positive" : "contribution-negative"}">${isMatch ? "Match" : "Mismatch"}</td>
+            <td>${neuronOutput(ex.values).toFixed(2)} ${ok ? "✓" : "✗"}</td>
+            <td><button class="remove-btn" data-index="${i}" title="Remove example">×</button></td>
+        </tr>`;
+    });
+    examplesBody.innerHTML = html;
+    examplesSummary.textContent = `${correct} / ${examples.length} classified correctly`;
+}
+
+// ── Events ──
+addPositiveBtn.addEventListener("click", () => addExample(getInputValues(), 1));
+addNegativeBtn.addEventListener("click", () => addExample(getInputValues(), 0));
+clearExamplesBtn.addEventListener("click", clearExamples);
+
+examplesBody.addEventListener("click", (e) => {
+    const btn = e.target.closest(".remove-btn");
+    if (!btn) return;
+    removeExample(parseInt(btn.dataset.index));
+});
+
+pointModeRadios.forEach(radio => radio.addEventListener("change", () => {
+    pointMode = radio.value;
+    canvas.classList.toggle("adding", pointMode !== "drag");
+}));
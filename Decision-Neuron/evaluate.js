@@ -0,0 +1,165 @@
+// ── Batch Evaluation ──
+// Scores every labeled example with the current model at once: a confusion
+// matrix and the usual metrics at the chosen threshold τ, plus an ROC curve
+// swept over all thresholds. Scores are the output's 0–1 reading, the same
+// quantity τ is compared against, and "positive" means Match.
+
+// ── DOM References ──
+const confusionBody = document.getElementById("confusion-body");
+const metricsList = document.getElementById("metrics-list");
+const rocCanvas = document.getElementById("roc-curve");
+const rocCtx = rocCanvas.getContext("2d");
+const evaluationNote = document.getElementById("evaluation-note");
+
+// ── Metrics ──
+function exampleScores() {
+    return examples.map(ex => ({ score: outputToUnit(neuronOutput(ex.values)), label: ex.label }));
+}
+
+function confusionMatrix(scores, threshold) {
+    const m = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    for (const { score, label } of scores) {
+        const predicted = score >= threshold ? 1 : 0;
+        if (predicted === 1) m[label === 1 ? "tp" : "fp"]++;
+        else m[label === 0 ? "tn" : "fn"]++;
+    }
+    return m;
+}
+
+// Ratios whose denominator is zero are undefined and come back as null
+function classificationMetrics(m) {
+    const ratio = (a, b) => (b > 0 ? a / b : null);
+    const precision = ratio(m.tp, m.tp + m.fp);
+    const recall = ratio(m.tp, m.tp + m.fn);
+    return {
+        accuracy: ratio(m.tp + m.tn, m.tp + m.tn + m.fp + m.fn),
+        precision,
+        recall,
+        f1: precision !== null && recall !== null && precision + recall > 0
+            ? 2 * precision * recall / (precision + recall)
+            : null
+    };
+}
+
+// ROC points from the strictest threshold down, one step per distinct score
+// so tied scores move diagonally, plus the trapezoid area under them
+function rocCurve(scores) {
+    const positives = scores.filter(s => s.label === 1).length;
+    const negatives = scores.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    const sorted = [...scores].sort((a, b) => b.score - a.score);
+    const points = [{ fpr: 0, tpr: 0 }];
+    let tp = 0;
+    let fp = 0;
+    for (let k = 0; k < sorted.length; k++) {
+        if (sorted[k].label === 1) tp++;
+        else fp++;
+        if (k === sorted.length - 1 || sorted[k + 1].score !== sorted[k].score) {
+            points.push({ fpr: fp / negatives, tpr: tp / positives });
+        }
+    }
+
+    let auc = 0;
+    for (let k = 1; k < points.length; k++) {
+        auc += (points[k].fpr - points[k - 1].fpr) * (points[k].tpr + points[k - 1].tpr) / 2;
+    }
+    return { points, auc };
+}
+
+// ── Rendering ──
+function formatMetric(value) {
+    return value === null ? "—" : value.toFixed(3);
+}
+
+function renderEvaluation() {
+    const scores = exampleScores();
+    const m = confusionMatrix(scores, decisionThreshold);
+    const metrics = classificationMetrics(m);
+    const roc = rocCurve(scores);
+
+    confusionBody.innerHTML = `<tr>
+            <th scope="row">Actual Match</th>
+            <td class="cm-correct">${m.tp}</td>
+            <td class="cm-wrong">${m.fn}</td>
+        </tr>
+        <tr>
+            <th scope="row">Actual Mismatch</th>
+            <td class="cm-wrong">${m.fp}</td>
+            <td class="cm-correct">${m.tn}</td>
+        </tr>`;
+
+    metricsList.innerHTML = [
+        ["Accuracy", metrics.accuracy],
+        ["Precision", metrics.precision],
+        ["Recall", metrics.recall],
+        ["F1", metrics.f1],
+        ["ROC AUC", roc ? roc.auc : null]
+    ].map(([name, value]) => `<li><span>${name}</span><strong>${formatMetric(value)}</strong></li>`).join("");
+
+    if (examples.length === 0) {
+        evaluationNote.textContent = "Add labeled examples to evaluate the model.";
+    } else if (!roc) {
+        evaluationNote.textContent = "The ROC curve needs at least one example of each label.";
+    } else {
+        evaluationNote.textContent = `${examples.length} examples at τ = ${decisionThreshold.toFixed(2)}.`;
+    }
+
+    drawROC(roc, m);
+}
+
+// The curve, the chance diagonal, and a gold dot for the current τ
+function drawROC(roc, m) {
+    const w = rocCanvas.width;
+    const h = rocCanvas.height;
+    const pad = 28;
+    const size = Math.min(w, h) - pad - 8;
+    const toX = fpr => pad + fpr * size;
+    const toY = tpr => 8 + (1 - tpr) * size;
+
+    rocCtx.fillStyle = "#161b22";
+    rocCtx.fillRect(0, 0, w, h);
+
+    rocCtx.strokeStyle = "#30363d";
+    rocCtx.lineWidth = 1;
+    rocCtx.strokeRect(toX(0), toY(1), size, size);
+    rocCtx.setLineDash([4, 4]);
+    rocCtx.beginPath();
+    rocCtx.moveTo(toX(0), toY(0));
+    rocCtx.lineTo(toX(1), toY(1));
+    rocCtx.stroke();
+    rocCtx.setLineDash([]);
+
+    rocCtx.fillStyle = "#8b949e";
+    rocCtx.font = "10px monospace";
+    rocCtx.textAlign = "center";
+    rocCtx.textBaseline = "top";
+    rocCtx.fillText("false positive rate →", toX(0.5), toY(0) + 6);
+    rocCtx.save();
+    rocCtx.translate(10, toY(0.5));
+    rocCtx.rotate(-Math.PI / 2);
+    rocCtx.textBaseline = "middle";
+    rocCtx.fillText("true positive rate →", 0, 0);
+    rocCtx.restore();
+
+    if (!roc) return;
+
+    rocCtx.strokeStyle = "#58a6ff";
+    rocCtx.lineWidth = 2;
+    rocCtx.beginPath();
+    roc.points.forEach((p, k) => {
+        if (k === 0) rocCtx.moveTo(toX(p.fpr), toY(p.tpr));
+        else rocCtx.lineTo(toX(p.fpr), toY(p.tpr));
+    });
+    rocCtx.stroke();
+
+    const fpr = m.fp / (m.fp + m.tn);
+    const tpr = m.tp / (m.tp + m.fn);
+    rocCtx.beginPath();
+    rocCtx.arc(toX(fpr), toY(tpr), 5, 0, Math.PI * 2);
+    rocCtx.fillStyle = "#FFD700";
+    rocCtx.fill();
+    rocCtx.strokeStyle = "#0d1117";
+    rocCtx.lineWidth = 1.5;
+    rocCtx.stroke();
+}
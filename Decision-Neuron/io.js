@@ -0,0 +1,299 @@
+// ── Import / Export ──
+// Datasets: CSV with one column per input (matched by name) plus "label",
+//           or JSON { inputs: [names], examples: [{ values, label }] }.
+// Models:   CSV with "input,weight,max,min" rows plus "bias" and
+//           "normalization" rows (min and normalization are optional),
+//           or JSON { inputs: [{ name, weight, min, max, hidden? }], bias,
+//           normalization, hiddenLayer? }.
+//           Only JSON carries the hidden layer; a CSV model is a single neuron.
+const MODEL_FORMAT = "decision-neuron-model";
+const DATASET_FORMAT = "decision-neuron-dataset";
+
+// ── DOM References ──
+const importBtn = document.getElementById("import-btn");
+const importFile = document.getElementById("import-file");
+const exportDataCsvBtn = document.getElementById("export-data-csv");
+const exportDataJsonBtn = document.getElementById("export-data-json");
+const exportModelCsvBtn = document.getElementById("export-model-csv");
+const exportModelJsonBtn = document.getElementById("export-model-json");
+const ioStatus = document.getElementById("io-status");
+
+// ── CSV Helpers ──
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+function csvField(value) {
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(rows) {
+    return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function findInputIndex(name) {
+    const key = String(name).trim().toLowerCase();
+    return INPUTS.findIndex(input => input.name.toLowerCase() === key);
+}
+
+function parseLabel(raw) {
+    const v = String(raw).trim().toLowerCase();
+    if (["1", "true", "yes", "match", "y"].includes(v)) return 1;
+    if (["0", "false", "no", "mismatch", "n"].includes(v)) return 0;
+    return null;
+}
+
+// ── Download ──
+function downloadText(text, filename, type) {
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoking straight after click() cancels the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ── Dataset Export ──
+function datasetToCSV() {
+    const rows = [[...INPUTS.map(input => input.name), "label"]];
+    for (const ex of examples) {
+        rows.push([...ex.values, ex.label]);
+    }
+    return toCSV(rows);
+}
+
+function datasetToJSON() {
+    return JSON.stringify({
+        format: DATASET_FORMAT,
+        inputs: INPUTS.map(input => input.name),
+        examples: examples.map(ex => ({ values: ex.values, label: ex.label }))
+    }, null, 2);
+}
+
+// ── Model Export ──
+function modelToCSV() {
+    const rows = [["input", "weight", "max", "min"]];
+    for (const input of INPUTS) {
+        rows.push([input.name, input.weight, input.max, input.min]);
+    }
+    rows.push(["bias", getBias(), "", ""]);
+    rows.push(["normalization", normalization, "", ""]);
+    return toCSV(rows);
+}
+
+function modelToJSON() {
+    if (hiddenLayer.enabled) ensureHiddenShape();
+    return JSON.stringify({
+        format: MODEL_FORMAT,
+        inputs: INPUTS.map(input => ({
+            name: input.name,
+            weight: input.weight,
+            min: input.min,
+            max: input.max,
+            ...(hiddenLayer.enabled ? { hidden: input.hidden } : {})
+        })),
+        bias: getBias(),
+        normalization,
+        hiddenLayer: hiddenLayer.enabled ? {
+            activation: hiddenLayer.activation,
+            bias: hiddenLayer.bias,
+            output: hiddenLayer.output
+        } : null
+    }, null, 2);
+}
+
+// ── Dataset Import ──
+// Builds full input vectors from named columns; any input missing
+// from the file falls back to its default value.
+function importDatasetRows(names, rows) {
+    const columnFor = INPUTS.map((_, i) => names.findIndex(n => findInputIndex(n) === i));
+    const missing = INPUTS.filter((_, i) => columnFor[i] === -1).map(input => input.name);
+    const loaded = [];
+    let skipped = 0;
+
+    for (const row of rows) {
+        const label = parseLabel(row.label);
+        const values = INPUTS.map((input, i) => {
+            const v = columnFor[i] === -1 ? input.defaultVal : parseFloat(row.cells[columnFor[i]]);
+            return Math.max(input.min, Math.min(input.max, v));
+        });
+        if (label === null || values.some(v => !Number.isFinite(v))) {
+            skipped++;
+            continue;
+        }
+        loaded.push({ values, label });
+    }
+
+    replaceExamples(loaded);
+    let msg = `Loaded ${loaded.length} example${loaded.length === 1 ? "" : "s"}.`;
+    if (skipped) msg += ` Skipped ${skipped} invalid row${skipped === 1 ? "" : "s"}.`;
+    if (missing.length) msg += ` Missing columns used defaults: ${missing.join(", ")}.`;
+    return msg;
+}
+
+function importDatasetCSV(table) {
+    const header = table[0].map(h => h.trim());
+    const labelCol = header.findIndex(h => h.toLowerCase() === "label");
+    const rows = table.slice(1).map(cells => ({ cells, label: cells[labelCol] }));
+    return importDatasetRows(header, rows);
+}
+
+function importDatasetJSON(data) {
+    const rows = data.examples.map(ex => ({ cells: ex.values, label: ex.label }));
+    return importDatasetRows(data.inputs, rows);
+}
+
+// ── Model Import ──
+// A model brings its own input list, so it replaces the schema. Inputs
+// whose names already exist keep their slider values and example data,
+// clamped into the model's ranges.
+// Older files without a min start at 0, and without a normalization keep
+// the current one.
+function applyModel(entries, newBias, hiddenConfig, newNormalization) {
+    const valid = entries.filter(entry => String(entry.name || "").trim() && Number.isFinite(entry.weight));
+    if (valid.length < MIN_INPUTS || valid.length > MAX_INPUTS) {
+        throw new Error(`model needs ${MIN_INPUTS}–${MAX_INPUTS} inputs with a name and weight`);
+    }
+    // Names match inputs case-insensitively, so a repeat would map two
+    // entries onto the same input object
+    const names = valid.map(entry => String(entry.name).trim().toLowerCase());
+    const duplicate = valid.find((entry, i) => names.indexOf(names[i]) !== i);
+    if (duplicate) throw new Error(`model lists the input "${String(duplicate.name).trim()}" more than once`);
+    stopTraining();
+    pausePerceptron();
+
+    const newInputs = valid.map(entry => {
+        const existing = INPUTS[findInputIndex(entry.name)];
+        const min = Number.isFinite(entry.min) ? entry.min : 0;
+        const max = Number.isFinite(entry.max) && entry.max > min ? entry.max : (existing && existing.max > min ? existing.max : min + 10);
+        const input = existing || { name: String(entry.name).trim(), defaultVal: (min + max) / 2, desc: "" };
+        input.weight = input.defaultWeight = entry.weight;
+        input.min = min;
+        input.max = max;
+        input.defaultVal = Math.max(min, Math.min(input.defaultVal, max));
+        if (Array.isArray(entry.hidden)) input.hidden = entry.hidden.map(Number);
+        return input;
+    });
+    if (Number.isFinite(newBias)) setBias(newBias);
+    if (NORMALIZATIONS.includes(newNormalization)) setNormalization(newNormalization);
+    loadHiddenLayer(hiddenConfig);
+
+    setSchema(newInputs);
+    const skipped = entries.length - valid.length;
+    return `Model loaded with ${newInputs.length} inputs.` + (skipped ? ` Skipped ${skipped} invalid row${skipped === 1 ? "" : "s"}.` : "");
+}
+
+function importModelCSV(table) {
+    const header = table[0].map(h => h.trim().toLowerCase());
+    const maxCol = header.indexOf("max");
+    const minCol = header.indexOf("min");
+    let newBias = NaN;
+    let newNormalization = null;
+    const entries = [];
+    for (const row of table.slice(1)) {
+        const [name, weight] = row;
+        const key = name.trim().toLowerCase();
+        if (key === "bias") {
+            newBias = parseFloat(weight);
+        } else if (key === "normalization") {
+            newNormalization = weight.trim();
+        } else {
+            entries.push({
+                name,
+                weight: parseFloat(weight),
+                max: maxCol === -1 ? NaN : parseFloat(row[maxCol]),
+                min: minCol === -1 ? NaN : parseFloat(row[minCol])
+            });
+        }
+    }
+    return applyModel(entries, newBias, null, newNormalization);
+}
+
+function importModelJSON(data) {
+    return applyModel(data.inputs, data.bias, data.hiddenLayer, data.normalization);
+}
+
+// Sniffs whether a file holds a dataset or a model and routes it
+function importText(text, filename) {
+    if (filename.toLowerCase().endsWith(".json")) {
+        const data = JSON.parse(text);
+        if (Array.isArray(data.examples)) return importDatasetJSON(data);
+        if (Array.isArray(data.inputs) && "bias" in data) return importModelJSON(data);
+        throw new Error("JSON is neither a dataset nor a model");
+    }
+
+    const table = parseCSV(text);
+    if (table.length === 0) throw new Error("file is empty");
+    const header = table[0].map(h => h.trim().toLowerCase());
+    if (header.includes("label")) return importDatasetCSV(table);
+    if (header[0] === "input" && header[1] === "weight") return importModelCSV(table);
+    throw new Error('CSV needs a "label" column (dataset) or "input,weight,max,min" header (model)');
+}
+
+// ── Events ──
+importBtn.addEventListener("click", () => importFile.click());
+
+importFile.addEventListener("change", () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            ioStatus.textContent = importText(reader.result, file.name);
+        } catch (err) {
+            ioStatus.textContent = `Could not import ${file.name}: ${err.message}`;
+        }
+        importFile.value = "";
+    };
+    reader.readAsText(file);
+});
+
+exportDataCsvBtn.addEventListener("click", () => downloadText(datasetToCSV(), "sock-dataset.csv", "text/csv"));
+exportDataJsonBtn.addEventListener("click", () => downloadText(datasetToJSON(), "sock-dataset.json", "application/json"));
+exportModelCsvBtn.addEventListener("click", () => downloadText(modelToCSV(), "sock-model.csv", "text/csv"));
+exportModelJsonBtn.addEventListener("click", () => downloadText(modelToJSON(), "sock-model.json", "application/json"));
@@ -0,0 +1,270 @@
+// ── Hidden Layer ──
+// Optional layer of hidden units between the inputs and the output neuron.
+// Each input carries its own column of hidden weights (input.hidden[j]), so
+// the schema editor can add and remove inputs without reshaping a matrix.
+const MAX_HIDDEN = 8;
+
+const hiddenLayer = {
+    enabled: false,
+    width: 3,
+    activation: "tanh",
+    bias: [],     // one per hidden unit
+    output: []    // hidden unit → output neuron weights
+};
+
+// ── DOM References ──
+const controlsPanel = document.querySelector(".controls-panel");
+const hiddenToggle = document.getElementById("hidden-toggle");
+const hiddenWidthSlider = document.getElementById("hidden-width");
+const hiddenWidthVal = document.getElementById("hidden-width-val");
+const hiddenActivationSelect = document.getElementById("hidden-activation");
+const randomizeHiddenBtn = document.getElementById("randomize-hidden");
+const networkCanvas = document.getElementById("network-canvas");
+const netCtx = networkCanvas.getContext("2d");
+
+const reduceMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+let flowTime = 0;
+
+// ── Shape & Initialization ──
+// Aims a unit's hyperplane through a random point of the input box so that
+// it bends the boundary somewhere visible rather than off in a corner.
+function randomizeUnit(j) {
+    let b = 0;
+    INPUTS.forEach((input, i) => {
+        const w = (Math.random() * 2 - 1) * 0.6;
+        input.hidden[j] = w;
+        b -= w * normalizeInput(inputAt(i, Math.random()), i);
+    });
+    hiddenLayer.bias[j] = b;
+    hiddenLayer.output[j] = (Math.random() * 2 - 1) * 3;
+}
+
+// Trims or grows every weight array to the current width. Inputs added
+// since the last call get zero weights; new hidden units start random.
+function ensureHiddenShape() {
+    const n = hiddenLayer.width;
+    const existing = Math.min(hiddenLayer.output.length, hiddenLayer.bias.length, n);
+    hiddenLayer.bias.length = existing;
+    hiddenLayer.output.length = existing;
+    INPUTS.forEach(input => {
+        input.hidden = (input.hidden || []).slice(0, existing);
+        while (input.hidden.length < existing) input.hidden.push(0);
+    });
+    for (let j = existing; j < n; j++) randomizeUnit(j);
+}
+
+function randomizeHidden() {
+    hiddenLayer.bias = [];
+    hiddenLayer.output = [];
+    ensureHiddenShape();
+}
+
+// ── Forward Pass ──
+// Missing weights count as zero so a schema change can never produce NaN
+function hiddenForward(values) {
+    const act = ACTIVATIONS[hiddenLayer.activation];
+    const x = INPUTS.map((_, i) => normalizeInput(values[i], i));
+    const pre = [];
+    const out = [];
+    for (let j = 0; j < hiddenLayer.width; j++) {
+        let a = hiddenLayer.bias[j] || 0;
+        for (let i = 0; i < INPUTS.length; i++) {
+            a += x[i] * ((INPUTS[i].hidden && INPUTS[i].hidden[j]) || 0);
+        }
+        pre.push(a);
+        out.push(act.fn(a));
+    }
+    return { x, pre, out };
+}
+
+function computeNetworkZ(values, bias) {
+    const { out } = hiddenForward(values);
+    let z = bias;
+    out.forEach((h, j) => { z += h * (hiddenLayer.output[j] || 0); });
+    return z;
+}
+
+function hiddenTableRows(values) {
+    const label = ACTIVATIONS[hiddenLayer.activation].label;
+    return hiddenForward(values).out.map((h, j) => {
+        const w = hiddenLayer.output[j] || 0;
+        return { name: `h${j + 1} (${label})`, raw: "", value: h.toFixed(2), weight: w, contrib: h * w };
+    });
+}
+
+// ── Loading & Controls ──
+// Restores a saved hidden layer, or switches the layer off when there is none.
+// Per-input weights travel with the inputs themselves.
+function loadHiddenLayer(config) {
+    if (config && Array.isArray(config.output) && config.output.length > 0) {
+        const n = Math.min(MAX_HIDDEN, config.output.length);
+        const bias = Array.isArray(config.bias) ? config.bias : [];
+        hiddenLayer.enabled = true;
+        hiddenLayer.width = n;
+        hiddenLayer.activation = ACTIVATIONS[config.activation] ? config.activation : "tanh";
+        hiddenLayer.output = config.output.slice(0, n).map(Number);
+        hiddenLayer.bias = hiddenLayer.output.map((_, j) => Number(bias[j]) || 0);
+    } else {
+        hiddenLayer.enabled = false;
+    }
+    syncNetworkControls();
+}
+
+function syncNetworkControls() {
+    hiddenToggle.checked = hiddenLayer.enabled;
+    hiddenWidthSlider.value = hiddenLayer.width;
+    hiddenWidthVal.textContent = hiddenLayer.width;
+    hiddenActivationSelect.value = hiddenLayer.activation;
+    hiddenWidthSlider.disabled = !hiddenLayer.enabled;
+    hiddenActivationSelect.disabled = !hiddenLayer.enabled;
+    randomizeHiddenBtn.disabled = !hiddenLayer.enabled;
+    controlsPanel.classList.toggle("network-mode", hiddenLayer.enabled);
+}
+
+// ── Network Diagram ──
+function truncateLabel(text, maxLen) {
+    return text.length > maxLen ? text.slice(0, maxLen - 1) + "…" : text;
+}
+
+function drawEdge(from, to, weight, signal, maxWeight, maxSignal) {
+    const strength = maxSignal > 0 ? Math.abs(signal) / maxSignal : 0;
+    const rgb = weight >= 0 ? "126,245,160" : "255,107,138";
+
+    netCtx.strokeStyle = `rgba(${rgb},${0.2 + 0.5 * strength})`;
+    netCtx.lineWidth = 0.5 + 3.5 * (maxWeight > 0 ? Math.abs(weight) / maxWeight : 0);
+    netCtx.beginPath();
+    netCtx.moveTo(from.x, from.y);
+    netCtx.lineTo(to.x, to.y);
+    netCtx.stroke();
+
+    // Pulses travel toward the output, faster for stronger signals
+    if (strength > 0.02) {
+        netCtx.setLineDash([3, 9]);
+        netCtx.lineDashOffset = -flowTime * 40 * strength;
+        netCtx.strokeStyle = `rgba(255,255,255,${0.8 * strength})`;
+        netCtx.lineWidth = 2;
+        netCtx.beginPath();
+        netCtx.moveTo(from.x, from.y);
+        netCtx.lineTo(to.x, to.y);
+        netCtx.stroke();
+        netCtx.setLineDash([]);
+    }
+}
+
+function drawNode(node, unit, radius, text) {
+    netCtx.beginPath();
+    netCtx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    netCtx.fillStyle = sigmaToColor(Math.max(0, Math.min(1, unit)));
+    netCtx.fill();
+    netCtx.strokeStyle = "#0d1117";
+    netCtx.lineWidth = 2;
+    netCtx.stroke();
+    if (text) {
+        netCtx.fillStyle = "#0d1117";
+        netCtx.font = "9px monospace";
+        netCtx.textAlign = "center";
+        netCtx.textBaseline = "middle";
+        netCtx.fillText(text, node.x, node.y);
+    }
+}
+
+function drawNetworkDiagram() {
+    const w = networkCanvas.width;
+    const h = networkCanvas.height;
+    const values = getInputValues();
+    if (values.length !== INPUTS.length) return;
+
+    netCtx.fillStyle = "#161b22";
+    netCtx.fillRect(0, 0, w, h);
+
+    const column = (n, x) => Array.from({ length: n }, (_, i) => ({ x, y: h * (i + 1) / (n + 1) }));
+    const inputNodes = column(INPUTS.length, 140);
+    const outputNode = { x: w - 50, y: h / 2 };
+    const x = INPUTS.map((_, i) => normalizeInput(values[i], i));
+    const inputRadius = INPUTS.length > 8 ? 6 : 9;
+    const z = computeZ(values, getBias());
+
+    if (hiddenLayer.enabled) {
+        const { out } = hiddenForward(values);
+        const hiddenNodes = column(hiddenLayer.width, (140 + outputNode.x) / 2);
+        const inWeight = (i, j) => (INPUTS[i].hidden && INPUTS[i].hidden[j]) || 0;
+        const outWeight = j => hiddenLayer.output[j] || 0;
+
+        let maxWeight = 0;
+        let maxSignal = 0;
+        INPUTS.forEach((_, i) => out.forEach((_, j) => {
+            maxWeight = Math.max(maxWeight, Math.abs(inWeight(i, j)));
+            maxSignal = Math.max(maxSignal, Math.abs(inWeight(i, j) * x[i]));
+        }));
+        out.forEach((hv, j) => {
+            maxWeight = Math.max(maxWeight, Math.abs(outWeight(j)));
+            maxSignal = Math.max(maxSignal, Math.abs(outWeight(j) * hv));
+        });
+
+        inputNodes.forEach((from, i) => hiddenNodes.forEach((to, j) => {
+            drawEdge(from, to, inWeight(i, j), inWeight(i, j) * x[i], maxWeight, maxSignal);
+        }));
+        hiddenNodes.forEach((from, j) => {
+            drawEdge(from, outputNode, outWeight(j), outWeight(j) * out[j], maxWeight, maxSignal);
+        });
+        const hiddenAct = ACTIVATIONS[hiddenLayer.activation];
+        hiddenNodes.forEach((node, j) => drawNode(node, hiddenAct.toUnit(out[j]), 13, out[j].toFixed(1)));
+    } else {
+        const maxWeight = Math.max(...INPUTS.map(input => Math.abs(input.weight)));
+        const maxSignal = Math.max(...INPUTS.map((input, i) => Math.abs(input.weight * x[i])));
+        inputNodes.forEach((from, i) => {
+            drawEdge(from, outputNode, INPUTS[i].weight, INPUTS[i].weight * x[i], maxWeight, maxSignal);
+        });
+    }
+
+    inputNodes.forEach((node, i) => drawNode(node, x[i] / 10, inputRadius, ""));
+    const output = activate(z);
+    drawNode(outputNode, outputToUnit(output), 18, output.toFixed(2));
+
+    // Labels
+    netCtx.fillStyle = "#8b949e";
+    netCtx.font = "10px sans-serif";
+    netCtx.textAlign = "right";
+    netCtx.textBaseline = "middle";
+    inputNodes.forEach((node, i) => {
+        netCtx.fillText(truncateLabel(INPUTS[i].name, 20), node.x - inputRadius - 6, node.y);
+    });
+    netCtx.textAlign = "center";
+    netCtx.fillText(ACTIVATIONS[outputActivation].symbol, outputNode.x, outputNode.y + 30);
+}
+
+function animateFlow(time) {
+    flowTime = time / 1000;
+    drawNetworkDiagram();
+    requestAnimationFrame(animateFlow);
+}
+
+// ── Events ──
+function setHiddenEnabled(on) {
+    hiddenLayer.enabled = on;
+    if (on) ensureHiddenShape();
+    syncNetworkControls();
+    syncAll();
+}
+
+hiddenToggle.addEventListener("change", () => setHiddenEnabled(hiddenToggle.checked));
+
+hiddenWidthSlider.addEventListener("input", () => {
+    hiddenLayer.width = parseInt(hiddenWidthSlider.value);
+    hiddenWidthVal.textContent = hiddenLayer.width;
+    ensureHiddenShape();
+    syncAll();
+});
+
+hiddenActivationSelect.addEventListener("change", () => {
+    hiddenLayer.activation = hiddenActivationSelect.value;
+    syncAll();
+});
+
+randomizeHiddenBtn.addEventListener("click", () => {
+    randomizeHidden();
+    syncAll();
+});
+
+syncNetworkControls();
+if (!reduceMotion) requestAnimationFrame(animateFlow);
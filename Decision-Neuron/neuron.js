@@ -1,24 +1,38 @@
 // ── Neuron Configuration ──
 const INPUTS = [
-    { name: "Event Formality",        weight:  0.35, defaultVal: 5, max: 10 },
-    { name: "Sock Visibility Risk",   weight:  0.25, defaultVal: 3, max: 10 },
-    { name: "Laundry Desperation",    weight: -0.30, defaultVal: 7, max: 10 },
-    { name: "Company You're Keeping", weight:  0.30, defaultVal: 2, max: 10 },
-    { name: "Chaotic Energy Today",   weight: -0.20, defaultVal: 4, max: 10 },
-    { name: "Matching Pairs Available",weight: 0.15, defaultVal: 6, max: 10 }
+    { name: "Event Formality",        weight:  0.35, defaultVal: 5, min: 0, max: 10, desc: "Casual hangout (0) → Black-tie gala (10)" },
+    { name: "Sock Visibility Risk",   weight:  0.25, defaultVal: 3, min: 0, max: 10, desc: "Boots all day (0) → Cross-legged on floor (10)" },
+    { name: "Laundry Desperation",    weight: -0.30, defaultVal: 7, min: 0, max: 10, desc: "Fresh loads (0) → Digging in the hamper (10)" },
+    { name: "Company You're Keeping", weight:  0.30, defaultVal: 2, min: 0, max: 10, desc: "Home alone (0) → Impressing someone important (10)" },
+    { name: "Chaotic Energy Today",   weight: -0.20, defaultVal: 4, min: 0, max: 10, desc: "Orderly citizen (0) → Agent of entropy (10)" },
+    { name: "Matching Pairs Available",weight: 0.15, defaultVal: 6, min: 0, max: 10, desc: "Sock graveyard (0) → Marie Kondo'd drawer (10)" }
 ];
 
+// Remember the designed weights so training can be undone
+INPUTS.forEach(input => { input.defaultWeight = input.weight; });
+
 const DEFAULT_BIAS = -2.5;
+const DEFAULT_THRESHOLD = 0.5;
+const NORMALIZATIONS = ["minmax", "zscore", "none"];
 const GRID_SIZE = 80;
 
 // ── DOM References ──
-const sliders = INPUTS.map((_, i) => document.getElementById(`slider-${i}`));
-const sliderVals = INPUTS.map((_, i) => document.getElementById(`val-${i}`));
+const inputSlidersEl = document.getElementById("input-sliders");
 const biasSlider = document.getElementById("bias-slider");
 const biasVal = document.getElementById("bias-val");
+const thresholdSlider = document.getElementById("threshold-slider");
+const thresholdVal = document.getElementById("threshold-val");
 const outputSigma = document.getElementById("output-sigma");
 const outputZ = document.getElementById("output-z");
 const decisionEl = document.getElementById("decision");
+const decisionRuleEl = document.getElementById("decision-rule");
+const outputFnEl = document.getElementById("output-fn");
+const outputLossEl = document.getElementById("output-loss");
+const datasetLossEl = document.getElementById("dataset-loss");
+const activationSelect = document.getElementById("activation-select");
+const lossSelect = document.getElementById("loss-select");
+const normalizationSelect = document.getElementById("normalization-select");
+const legendLabels = document.querySelectorAll(".legend-labels span");
 const outputBox = document.getElementById("output-box");
 const axisXSelect = document.getElementById("axis-x");
 const axisYSelect = document.getElementById("axis-y");
@@ -27,35 +41,196 @@ const ctx = canvas.getContext("2d");
 const xLabelEl = document.getElementById("x-label");
 const yLabelEl = document.getElementById("y-label");
 const tableBody = document.getElementById("weight-table-body");
+const deltaHead = document.getElementById("delta-head");
+
+// Rebuilt from INPUTS by renderInputControls()
+let sliders = [];
+let sliderVals = [];
+let weightBadges = [];
 
 // ── State ──
 let axisX = 0;
 let axisY = 3;
 let isDragging = false;
+let bias = DEFAULT_BIAS;
+let outputActivation = "sigmoid";
+let lossType = "bce";
+let decisionThreshold = DEFAULT_THRESHOLD;
+let normalization = "minmax";
+let normStats = [];
 
 // ── Math ──
 function sigmoid(z) {
     return 1 / (1 + Math.exp(-z));
 }
 
+// Activation functions, their derivatives w.r.t. the pre-activation, and
+// how each one is read: `toUnit` squashes the output into 0–1 for coloring,
+// loss and the decision threshold τ. Every toUnit is monotone in z, so the
+// rule "toUnit(output) ≥ τ" is the same as z ≥ thresholdZ(τ); `rule` says it
+// in the activation's own units. At the default τ = 0.5 every activation
+// fires when z ≥ 0 (z > 0 for ReLU), so only a moved threshold makes the
+// choice of activation shift the boundary.
+const ACTIVATIONS = {
+    sigmoid: {
+        label: "sigmoid", symbol: "σ(z)",
+        fn: sigmoid,
+        grad: a => sigmoid(a) * (1 - sigmoid(a)),
+        toUnit: o => o,
+        thresholdZ: t => Math.log(t / (1 - t)),
+        rule: t => `σ(z) ≥ ${t.toFixed(2)}`,
+        legend: ["Mismatch (σ≈0)", "Boundary (σ=0.5)", "Match (σ≈1)"]
+    },
+    tanh: {
+        label: "tanh", symbol: "tanh(z)",
+        fn: Math.tanh,
+        grad: a => 1 - Math.tanh(a) ** 2,
+        toUnit: o => (o + 1) / 2,
+        thresholdZ: t => Math.atanh(2 * t - 1),
+        rule: t => `tanh(z) ≥ ${(2 * t - 1).toFixed(2)}`,
+        legend: ["Mismatch (−1)", "Boundary (0)", "Match (+1)"]
+    },
+    relu: {
+        label: "ReLU", symbol: "ReLU(z)",
+        fn: a => Math.max(0, a),
+        grad: a => (a > 0 ? 1 : 0),
+        toUnit: o => (o > 0 ? 0.5 + Math.min(o, 5) / 10 : 0),
+        thresholdZ: t => Math.max(0, (t - 0.5) * 10),
+        rule: t => (t <= 0.5 ? "ReLU(z) > 0" : `ReLU(z) ≥ ${((t - 0.5) * 10).toFixed(2)}`),
+        legend: ["Off (0)", "Boundary (0⁺)", "Match (≥5)"]
+    },
+    step: {
+        label: "step", symbol: "step(z)",
+        fn: a => (a >= 0 ? 1 : 0),
+        grad: () => 0,
+        toUnit: o => o,
+        thresholdZ: () => 0,
+        rule: () => "step(z) = 1",
+        legend: ["Mismatch (0)", "Boundary (jump)", "Match (1)"]
+    },
+    linear: {
+        label: "linear", symbol: "z",
+        fn: a => a,
+        grad: () => 1,
+        toUnit: o => 0.5 + Math.max(-5, Math.min(5, o)) / 10,
+        thresholdZ: t => (t - 0.5) * 10,
+        rule: t => `z ≥ ${((t - 0.5) * 10).toFixed(2)}`,
+        legend: ["Mismatch (≤−5)", "Boundary (0)", "Match (≥+5)"]
+    }
+};
+
+// ── Input Preprocessing ──
+// Inputs live in their own raw units between min and max. Before weighting
+// they go through the selected preprocessing: "minmax" maps [min, max] onto
+// 0–10, "zscore" centres on the examples' mean and divides by their spread,
+// "none" feeds the raw value straight in.
+function normalizeInput(value, i) {
+    const input = INPUTS[i];
+    if (normalization === "none") return value;
+    if (normalization === "zscore") {
+        const stats = normStats[i] || rangeStats(input);
+        return (value - stats.mean) / stats.std;
+    }
+    return (value - input.min) / (input.max - input.min) * 10;
+}
+
+// Stand-in for z-score statistics: a uniform spread over the input's range
+function rangeStats(input) {
+    return { mean: (input.min + input.max) / 2, std: (input.max - input.min) / Math.sqrt(12) };
+}
+
+// Per-input mean and standard deviation over the labeled examples, with the
+// range stand-in while there are fewer than two or they do not vary
+function updateNormStats() {
+    normStats = INPUTS.map((input, i) => {
+        if (examples.length < 2) return rangeStats(input);
+        const mean = examples.reduce((sum, ex) => sum + ex.values[i], 0) / examples.length;
+        const variance = examples.reduce((sum, ex) => sum + (ex.values[i] - mean) ** 2, 0) / examples.length;
+        const std = Math.sqrt(variance);
+        return std > 1e-9 ? { mean, std } : rangeStats(input);
+    });
+}
+
+// Raw value at fraction t of input i's range, and back
+function inputAt(i, t) {
+    return INPUTS[i].min + t * (INPUTS[i].max - INPUTS[i].min);
+}
+
+function inputFraction(i, value) {
+    return (value - INPUTS[i].min) / (INPUTS[i].max - INPUTS[i].min);
+}
+
 function computeZ(values, bias) {
+    if (hiddenLayer.enabled) return computeNetworkZ(values, bias);
     let z = bias;
     for (let i = 0; i < INPUTS.length; i++) {
-        z += (values[i] / INPUTS[i].max) * INPUTS[i].weight * 10;
+        z += normalizeInput(values[i], i) * INPUTS[i].weight;
     }
     return z;
 }
 
+// Neuron output σ for a full input vector
+function predict(values) {
+    return sigmoid(computeZ(values, getBias()));
+}
+
+// ── Output Activation & Loss ──
+function activate(z) {
+    return ACTIVATIONS[outputActivation].fn(z);
+}
+
+// Activated output of the whole model for a full input vector
+function neuronOutput(values) {
+    return activate(computeZ(values, getBias()));
+}
+
+function classify(values) {
+    return fires(neuronOutput(values)) ? 1 : 0;
+}
+
+function outputToUnit(out) {
+    return Math.max(0, Math.min(1, ACTIVATIONS[outputActivation].toUnit(out)));
+}
+
+// The decision rule: the output's 0–1 reading against the threshold τ
+function fires(out) {
+    return outputToUnit(out) >= decisionThreshold;
+}
+
+// z at which the current activation crosses τ
+function thresholdZ() {
+    return ACTIVATIONS[outputActivation].thresholdZ(decisionThreshold);
+}
+
+// Loss of one output against a 0/1 label, on the output's 0–1 reading
+function outputLoss(out, label) {
+    const p = outputToUnit(out);
+    if (lossType === "mse") return (p - label) ** 2;
+    const eps = 1e-7;
+    const q = Math.min(1 - eps, Math.max(eps, p));
+    return -(label * Math.log(q) + (1 - label) * Math.log(1 - q));
+}
+
 function getInputValues() {
     return sliders.map(s => parseFloat(s.value));
 }
 
 function getBias() {
-    return parseFloat(biasSlider.value);
+    return bias;
+}
+
+function setBias(b) {
+    bias = b;
+    biasSlider.value = b;
+}
+
+function setNormalization(mode) {
+    normalization = mode;
+    normalizationSelect.value = mode;
 }
 
 // ── Color Interpolation ──
-function sigmaToColor(sigma) {
+function sigmaToRGB(sigma) {
     // blue (80,90,200) → white (255,255,255) → magenta (255,80,180)
     let r, g, b;
     if (sigma <= 0.5) {
@@ -69,6 +244,11 @@ function sigmaToColor(sigma) {
         g = 255 + (80  - 255) * t;
         b = 255 + (180 - 255) * t;
     }
+    return [r, g, b];
+}
+
+function sigmaToColor(sigma) {
+    const [r, g, b] = sigmaToRGB(sigma);
     return `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
 }
 
@@ -81,14 +261,11 @@ function renderHeatmap() {
     const cellW = w / GRID_SIZE;
     const cellH = h / GRID_SIZE;
 
-    // Precompute the fixed contribution (from non-axis inputs + bias)
-    const contourPoints = [];
-
     for (let gy = 0; gy < GRID_SIZE; gy++) {
         for (let gx = 0; gx < GRID_SIZE; gx++) {
             // Map grid cell to input values
-            const xVal = (gx + 0.5) / GRID_SIZE * INPUTS[axisX].max;
-            const yVal = INPUTS[axisY].max - (gy + 0.5) / GRID_SIZE * INPUTS[axisY].max;
+            const xVal = inputAt(axisX, (gx + 0.5) / GRID_SIZE);
+            const yVal = inputAt(axisY, 1 - (gy + 0.5) / GRID_SIZE);
 
             // Build values array with axis overrides
             const v = [...values];
@@ -96,30 +273,21 @@ function renderHeatmap() {
             v[axisY] = yVal;
 
             const z = computeZ(v, bias);
-            const s = sigmoid(z);
 
             // Draw cell
-            ctx.fillStyle = sigmaToColor(s);
+            ctx.fillStyle = sigmaToColor(outputToUnit(activate(z)));
             ctx.fillRect(gx * cellW, gy * cellH, cellW + 1, cellH + 1);
-
-            // Track contour
-            if (Math.abs(s - 0.5) < 0.018) {
-                contourPoints.push({ x: gx * cellW + cellW / 2, y: gy * cellH + cellH / 2 });
-            }
         }
     }
 
-    // Draw contour line (gold dots for boundary)
-    ctx.fillStyle = "#FFD700";
-    for (const p of contourPoints) {
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
-        ctx.fill();
-    }
+    // Boundary and iso-lines, traced on their own grid
+    drawContours(ctx, computeContours(values, bias));
+
+    // Labeled examples sit under the crosshair
+    drawExamplePoints();
 
     // Draw crosshair point
-    const px = (values[axisX] / INPUTS[axisX].max) * w;
-    const py = (1 - values[axisY] / INPUTS[axisY].max) * h;
+    const { px, py } = projectToCanvas(values);
 
     // Dashed guidelines
     ctx.setLineDash([4, 4]);
@@ -143,64 +311,176 @@ function renderHeatmap() {
     ctx.stroke();
 }
 
+// Project a full input vector onto the current axis pair in canvas pixels
+function projectToCanvas(values) {
+    return {
+        px: inputFraction(axisX, values[axisX]) * canvas.width,
+        py: (1 - inputFraction(axisY, values[axisY])) * canvas.height
+    };
+}
+
 // ── Update Output Display ──
 function updateOutput() {
     const values = getInputValues();
     const bias = getBias();
     const z = computeZ(values, bias);
-    const s = sigmoid(z);
+    const act = ACTIVATIONS[outputActivation];
+    const out = act.fn(z);
 
-    outputSigma.textContent = s.toFixed(3);
+    outputFnEl.textContent = act.symbol;
+    outputSigma.textContent = out.toFixed(3);
     outputZ.textContent = z.toFixed(2);
 
-    const isMatch = s >= 0.5;
+    const isMatch = fires(out);
     decisionEl.textContent = isMatch ? "✓ MATCH YOUR SOCKS" : "✗ MISMATCH IS FINE";
     decisionEl.className = "decision " + (isMatch ? "match" : "mismatch");
+    decisionRuleEl.textContent = `fires when ${act.rule(decisionThreshold)}`;
     outputBox.className = "output-box " + (isMatch ? "match" : "mismatch");
 
+    // Loss: the current point has no label, so show both possibilities
+    const lossName = lossType.toUpperCase();
+    outputLossEl.textContent = `${lossName} if Match ${outputLoss(out, 1).toFixed(3)} · if Mismatch ${outputLoss(out, 0).toFixed(3)}`;
+    datasetLossEl.textContent = examples.length
+        ? `Dataset ${lossName} ${meanExampleLoss().toFixed(3)} over ${examples.length} example${examples.length === 1 ? "" : "s"}`
+        : "Dataset loss: no examples yet";
+
     // Update weight table
     updateWeightTable(values, bias, z);
 }
 
+// Rows feeding the output neuron: the inputs themselves, or the hidden
+// units when the hidden layer is on
+function weightTableRows(values) {
+    if (hiddenLayer.enabled) return hiddenTableRows(values);
+    return INPUTS.map((input, i) => ({
+        name: escapeHTML(input.name),
+        raw: values[i].toFixed(sliderDecimals(i)),
+        value: normalizeInput(values[i], i).toFixed(2),
+        weight: input.weight,
+        contrib: normalizeInput(values[i], i) * input.weight,
+        delta: perceptronDelta(i)
+    }));
+}
+
+// Signed Δw cell, shown while a perceptron update is on screen
+function deltaCell(delta) {
+    if (delta === null || delta === undefined) return "<td></td>";
+    const cls = delta > 0 ? "contribution-positive" : delta < 0 ? "contribution-negative" : "";
+    return `<td class="delta-cell ${cls}">${delta >= 0 ? "+" : "−"}${Math.abs(delta).toFixed(2)}</td>`;
+}
+
 function updateWeightTable(values, bias, z) {
+    const showDelta = perceptronDelta(-1) !== null;
+    deltaHead.hidden = !showDelta;
+    const delta = d => (showDelta ? deltaCell(d) : "");
+
     let html = "";
-    for (let i = 0; i < INPUTS.length; i++) {
-        const norm = values[i] / INPUTS[i].max;
-        const contrib = norm * INPUTS[i].weight * 10;
-        const sign = contrib >= 0 ? "+" : "";
-        const cls = contrib >= 0 ? "contribution-positive" : "contribution-negative";
+    for (const row of weightTableRows(values)) {
+        const sign = row.contrib >= 0 ? "+" : "";
+        const cls = row.contrib >= 0 ? "contribution-positive" : "contribution-negative";
         html += `<tr>
-            <td>${INPUTS[i].name}</td>
-            <td>${values[i].toFixed(1)}</td>
-            <td>${INPUTS[i].weight >= 0 ? "+" : ""}${INPUTS[i].weight.toFixed(2)}</td>
-            <td class="${cls}">${sign}${contrib.toFixed(2)}</td>
+            <td>${row.name}</td>
+            <td>${row.raw}</td>
+            <td>${row.value}</td>
+            <td>${row.weight >= 0 ? "+" : ""}${row.weight.toFixed(2)}</td>
+            ${delta(row.delta)}
+            <td class="${cls}">${sign}${row.contrib.toFixed(2)}</td>
         </tr>`;
     }
     html += `<tr>
         <td>Bias</td>
         <td></td>
         <td></td>
+        <td></td>
+        ${delta(perceptronDelta(-1))}
         <td class="${bias >= 0 ? "contribution-positive" : "contribution-negative"}">${bias >= 0 ? "+" : ""}${bias.toFixed(2)}</td>
     </tr>`;
     html += `<tr>
         <td><strong>Total z</strong></td>
         <td></td>
         <td></td>
+        <td></td>
+        ${delta(null)}
         <td><strong>${z.toFixed(2)}</strong></td>
     </tr>`;
     tableBody.innerHTML = html;
 }
 
+// ── Input Controls ──
+// Slider resolution scales with the input's range
+function sliderDecimals(i) {
+    const span = INPUTS[i].max - INPUTS[i].min;
+    return span >= 10 ? 1 : span >= 1 ? 2 : 3;
+}
+
+function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[ch]);
+}
+
+// Regenerates one slider group per input, seeded with the given values
+function renderInputControls(values) {
+    let html = "";
+    INPUTS.forEach((input, i) => {
+        const v = Math.max(input.min, Math.min(input.max, values[i]));
+        html += `<div class="slider-group">
+            <label for="slider-${i}">
+                <span class="input-name">${escapeHTML(input.name)}</span>
+                <span class="weight" id="w-${i}"></span>
+            </label>
+            <div class="slider-row">
+                <input type="range" id="slider-${i}" min="${input.min}" max="${input.max}" step="${(input.max - input.min) / 100}" value="${v}">
+                <span class="slider-value" id="val-${i}"></span>
+            </div>
+            <div class="slider-desc">${escapeHTML(input.desc || `${input.min} → ${input.max}`)}</div>
+        </div>`;
+    });
+    inputSlidersEl.innerHTML = html;
+
+    sliders = INPUTS.map((_, i) => document.getElementById(`slider-${i}`));
+    sliderVals = INPUTS.map((_, i) => document.getElementById(`val-${i}`));
+    weightBadges = INPUTS.map((_, i) => document.getElementById(`w-${i}`));
+    sliders.forEach(s => s.addEventListener("input", syncAll));
+}
+
+function renderAxisOptions() {
+    const options = INPUTS.map((input, i) => `<option value="${i}">${escapeHTML(input.name)}</option>`).join("");
+    axisXSelect.innerHTML = options;
+    axisYSelect.innerHTML = options;
+    axisXSelect.value = axisX;
+    axisYSelect.value = axisY;
+}
+
+// ── Weight Badges ──
+function updateWeightBadges() {
+    INPUTS.forEach((input, i) => {
+        const w = input.weight;
+        weightBadges[i].textContent = `w = ${w >= 0 ? "+" : "−"}${Math.abs(w).toFixed(2)}`;
+        weightBadges[i].className = "weight " + (w >= 0 ? "positive" : "negative");
+    });
+}
+
 // ── Sync All ──
 function syncAll() {
+    updateNormStats();
+
     // Update slider value displays
     sliders.forEach((s, i) => {
-        sliderVals[i].textContent = parseFloat(s.value).toFixed(1);
+        sliderVals[i].textContent = parseFloat(s.value).toFixed(sliderDecimals(i));
     });
+    updateWeightBadges();
+    updateSchemaEditorWeights();
     biasVal.textContent = (getBias() >= 0 ? "" : "−") + Math.abs(getBias()).toFixed(1);
 
     updateOutput();
     renderHeatmap();
+    renderExamplesTable();
+    drawNetworkDiagram();
+    renderSurface();
+    renderSensitivity();
+    renderEvaluation();
+    describeHeatmap();
 }
 
 // ── Axis Labels ──
@@ -217,8 +497,9 @@ function heatmapPointerToValues(e) {
     const mx = (e.clientX - rect.left) * scaleX;
     const my = (e.clientY - rect.top) * scaleY;
 
-    const xVal = Math.max(0, Math.min(INPUTS[axisX].max, (mx / canvas.width) * INPUTS[axisX].max));
-    const yVal = Math.max(0, Math.min(INPUTS[axisY].max, (1 - my / canvas.height) * INPUTS[axisY].max));
+    const clamp = t => Math.max(0, Math.min(1, t));
+    const xVal = inputAt(axisX, clamp(mx / canvas.width));
+    const yVal = inputAt(axisY, clamp(1 - my / canvas.height));
 
     return { xVal, yVal };
 }
@@ -231,6 +512,10 @@ function applyHeatmapDrag(e) {
 }
 
 canvas.addEventListener("pointerdown", (e) => {
+    if (pointMode !== "drag") {
+        addExampleAtPointer(e);
+        return;
+    }
     isDragging = true;
     canvas.setPointerCapture(e.pointerId);
     applyHeatmapDrag(e);
@@ -246,8 +531,39 @@ canvas.addEventListener("pointerup", (e) => {
 });
 
 // ── Slider Events ──
-sliders.forEach(s => s.addEventListener("input", syncAll));
-biasSlider.addEventListener("input", syncAll);
+biasSlider.addEventListener("input", () => {
+    bias = parseFloat(biasSlider.value);
+    syncAll();
+});
+
+thresholdSlider.addEventListener("input", () => {
+    decisionThreshold = parseFloat(thresholdSlider.value);
+    thresholdVal.textContent = decisionThreshold.toFixed(2);
+    syncAll();
+});
+
+// ── Activation & Loss Events ──
+function updateLegend() {
+    ACTIVATIONS[outputActivation].legend.forEach((text, i) => {
+        legendLabels[i].textContent = text;
+    });
+}
+
+activationSelect.addEventListener("change", () => {
+    outputActivation = activationSelect.value;
+    updateLegend();
+    syncAll();
+});
+
+lossSelect.addEventListener("change", () => {
+    lossType = lossSelect.value;
+    syncAll();
+});
+
+normalizationSelect.addEventListener("change", () => {
+    setNormalization(normalizationSelect.value);
+    syncAll();
+});
 
 // ── Axis Dropdown Events ──
 axisXSelect.addEventListener("change", () => {
@@ -274,5 +590,11 @@ axisYSelect.addEventListener("change", () => {
 });
 
 // ── Initialize ──
-updateAxisLabels();
-syncAll();
+// Deferred so the feature scripts loaded after this one are in place
+document.addEventListener("DOMContentLoaded", () => {
+    renderInputControls(INPUTS.map(input => input.defaultVal));
+    renderAxisOptions();
+    renderSchemaEditor();
+    updateAxisLabels();
+    syncAll();
+});
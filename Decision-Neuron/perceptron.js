@@ -0,0 +1,181 @@
+// ── Perceptron Rule ──
+// The classic mistake-driven rule as a step-through: each step takes the
+// next misclassified example (cycling through the list) and moves
+// w ← w + η·(y − ŷ)·x, b ← b + η·(y − ŷ), with x the normalized inputs.
+// Every step is kept, so the boundary can be walked backward and forward.
+const PERCEPTRON_PLAY_DELAY = 600;
+const MAX_PERCEPTRON_UPDATES = 1000;
+
+// ── DOM References ──
+const perceptronBackBtn = document.getElementById("perceptron-back");
+const perceptronStepBtn = document.getElementById("perceptron-step");
+const perceptronPlayBtn = document.getElementById("perceptron-play");
+const perceptronStatus = document.getElementById("perceptron-status");
+
+// ── State ──
+// perceptronHistory[0] is the starting point; entry k holds the weights
+// after update k, the example it used and the Δ it applied.
+let perceptronHistory = [];
+let perceptronIndex = 0;
+let perceptronTimer = null;
+
+// ── Snapshots ──
+function perceptronSnapshot(example, cursor, delta, deltaBias) {
+    return {
+        weights: INPUTS.map(input => input.weight),
+        bias: getBias(),
+        example,
+        cursor,
+        delta,
+        deltaBias
+    };
+}
+
+// The history only describes the neuron while its weights are untouched;
+// any outside change (sliders, training, imports, schema edits) retires it.
+function perceptronCurrent() {
+    const snap = perceptronHistory[perceptronIndex];
+    if (!snap || hiddenLayer.enabled) return null;
+    if (snap.weights.length !== INPUTS.length || snap.bias !== getBias()) return null;
+    return INPUTS.every((input, i) => input.weight === snap.weights[i]) ? snap : null;
+}
+
+function restorePerceptronSnapshot(snap) {
+    INPUTS.forEach((input, i) => { input.weight = snap.weights[i]; });
+    setBias(snap.bias);
+}
+
+// ── Hooks for the heatmap and weight table ──
+// Example behind the update on screen, if it is still in the dataset
+function perceptronFocusExample() {
+    const snap = perceptronCurrent();
+    return snap && snap.example && examples.includes(snap.example) ? snap.example : null;
+}
+
+// Δw of input i (or of the bias, for i === -1) in the update on screen
+function perceptronDelta(i) {
+    const snap = perceptronCurrent();
+    if (!snap || !snap.delta) return null;
+    return i === -1 ? snap.deltaBias : snap.delta[i];
+}
+
+// ── Stepping ──
+function perceptronStep() {
+    if (hiddenLayer.enabled) {
+        perceptronStatus.textContent = "The perceptron rule trains a single neuron — switch the hidden layer off first.";
+        return false;
+    }
+    if (examples.length === 0) {
+        perceptronStatus.textContent = "Add a few labeled examples, then step.";
+        return false;
+    }
+    stopTraining();
+
+    // Start a fresh history whenever the weights moved since the last step
+    let snap = perceptronCurrent();
+    if (!snap) {
+        perceptronHistory = [perceptronSnapshot(null, -1, null, 0)];
+        perceptronIndex = 0;
+        snap = perceptronHistory[0];
+    }
+
+    // Replay a step that was undone
+    if (perceptronIndex < perceptronHistory.length - 1) {
+        perceptronIndex++;
+        restorePerceptronSnapshot(perceptronHistory[perceptronIndex]);
+        showPerceptronStep();
+        return true;
+    }
+
+    if (perceptronIndex >= MAX_PERCEPTRON_UPDATES) {
+        perceptronStatus.textContent = `Stopped after ${MAX_PERCEPTRON_UPDATES} updates — the examples are probably not linearly separable.`;
+        return false;
+    }
+
+    // Next misclassified example after the last one used
+    const n = examples.length;
+    const start = examples.indexOf(snap.example) === -1 ? snap.cursor : examples.indexOf(snap.example);
+    let k = -1;
+    for (let step = 1; step <= n; step++) {
+        const idx = (((start + step) % n) + n) % n;
+        if (!isCorrect(examples[idx])) {
+            k = idx;
+            break;
+        }
+    }
+    if (k === -1) {
+        perceptronStatus.textContent = `Converged after ${perceptronIndex} update${perceptronIndex === 1 ? "" : "s"} — every example is classified correctly.`;
+        syncAll();
+        return false;
+    }
+
+    const ex = examples[k];
+    const eta = parseFloat(lrSlider.value);
+    const error = ex.label - classify(ex.values);
+    const delta = INPUTS.map((_, i) => eta * error * normalizeInput(ex.values[i], i));
+    const deltaBias = eta * error;
+
+    INPUTS.forEach((input, i) => { input.weight += delta[i]; });
+    setBias(Math.max(BIAS_MIN, Math.min(BIAS_MAX, getBias() + deltaBias)));
+
+    perceptronHistory.push(perceptronSnapshot(ex, k, delta, deltaBias));
+    perceptronIndex++;
+    showPerceptronStep();
+    return true;
+}
+
+function perceptronBack() {
+    pausePerceptron();
+    if (!perceptronCurrent() || perceptronIndex === 0) return;
+    perceptronIndex--;
+    restorePerceptronSnapshot(perceptronHistory[perceptronIndex]);
+    showPerceptronStep();
+}
+
+function showPerceptronStep() {
+    const snap = perceptronHistory[perceptronIndex];
+    if (snap.example) {
+        const k = examples.indexOf(snap.example);
+        const label = snap.example.label === 1 ? "Match" : "Mismatch";
+        perceptronStatus.textContent = `Update ${perceptronIndex} of ${perceptronHistory.length - 1}: ` +
+            `example #${k + 1} (${label}) was misclassified, so every weight moved by η·(y − ŷ)·x.`;
+    } else {
+        perceptronStatus.textContent = "Starting weights — step forward to apply the first update.";
+    }
+    perceptronBackBtn.disabled = perceptronIndex === 0;
+    syncAll();
+}
+
+// ── Playback ──
+function playPerceptron() {
+    perceptronPlayBtn.textContent = "❚❚ Pause";
+    const tick = () => {
+        if (perceptronStep()) {
+            perceptronTimer = setTimeout(tick, PERCEPTRON_PLAY_DELAY);
+        } else {
+            pausePerceptron();
+        }
+    };
+    tick();
+}
+
+function pausePerceptron() {
+    if (perceptronTimer !== null) {
+        clearTimeout(perceptronTimer);
+        perceptronTimer = null;
+    }
+    perceptronPlayBtn.textContent = "▶ Play";
+}
+
+// ── Events ──
+perceptronStepBtn.addEventListener("click", () => {
+    pausePerceptron();
+    perceptronStep();
+});
+
+perceptronBackBtn.addEventListener("click", perceptronBack);
+
+perceptronPlayBtn.addEventListener("click", () => {
+    if (perceptronTimer !== null) pausePerceptron();
+    else playPerceptron();
+});
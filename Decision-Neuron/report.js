@@ -0,0 +1,243 @@
+// ── Heatmap & Report Export ──
+// PNG: the live heatmap canvas framed with a title and axis labels.
+// SVG: the same picture redrawn as vectors — cells, contours, examples, point.
+// Report: a one-page printable summary opened in its own window.
+const EXPORT_MARGIN = { top: 40, right: 20, bottom: 48, left: 56 };
+const SVG_GRID = 50;
+
+// ── DOM References ──
+const exportHeatmapPngBtn = document.getElementById("export-heatmap-png");
+const exportHeatmapSvgBtn = document.getElementById("export-heatmap-svg");
+const printReportBtn = document.getElementById("print-report");
+
+// ── Shared Text ──
+function exportTitle() {
+    const act = ACTIVATIONS[outputActivation];
+    const out = neuronOutput(getInputValues());
+    return `${act.symbol} = ${out.toFixed(3)} — ${decisionEl.textContent}`;
+}
+
+function formatRange(i) {
+    return [INPUTS[i].min, INPUTS[i].max].map(v => Number(v.toFixed(sliderDecimals(i))));
+}
+
+// ── PNG ──
+function heatmapExportCanvas() {
+    const m = EXPORT_MARGIN;
+    const out = document.createElement("canvas");
+    out.width = canvas.width + m.left + m.right;
+    out.height = canvas.height + m.top + m.bottom;
+    const g = out.getContext("2d");
+
+    g.fillStyle = "#0d1117";
+    g.fillRect(0, 0, out.width, out.height);
+    g.drawImage(canvas, m.left, m.top);
+    g.strokeStyle = "#30363d";
+    g.strokeRect(m.left - 0.5, m.top - 0.5, canvas.width + 1, canvas.height + 1);
+
+    g.fillStyle = "#e6edf3";
+    g.font = "bold 13px sans-serif";
+    g.textAlign = "left";
+    g.textBaseline = "middle";
+    g.fillText(exportTitle(), m.left, m.top / 2);
+
+    const [xMin, xMax] = formatRange(axisX);
+    const [yMin, yMax] = formatRange(axisY);
+    g.fillStyle = "#8b949e";
+    g.font = "11px sans-serif";
+    g.textBaseline = "top";
+    g.fillText(String(xMin), m.left, m.top + canvas.height + 4);
+    g.textAlign = "right";
+    g.fillText(String(xMax), m.left + canvas.width, m.top + canvas.height + 4);
+    g.textAlign = "center";
+    g.fillText(INPUTS[axisX].name + " →", m.left + canvas.width / 2, m.top + canvas.height + 22);
+
+    g.textAlign = "right";
+    g.textBaseline = "middle";
+    g.fillText(String(yMax), m.left - 4, m.top + 6);
+    g.fillText(String(yMin), m.left - 4, m.top + canvas.height - 6);
+    g.save();
+    g.translate(m.left - 30, m.top + canvas.height / 2);
+    g.rotate(-Math.PI / 2);
+    g.textAlign = "center";
+    g.fillText(INPUTS[axisY].name + " →", 0, 0);
+    g.restore();
+
+    return out;
+}
+
+function exportHeatmapPNG() {
+    heatmapExportCanvas().toBlob(blob => downloadBlob(blob, "sock-heatmap.png"));
+}
+
+// ── SVG ──
+function svgPath(line) {
+    return line.map((p, k) => `${k === 0 ? "M" : "L"}${p.x.toFixed(1)} ${p.y.toFixed(1)}`).join(" ");
+}
+
+function heatmapSVG() {
+    const m = EXPORT_MARGIN;
+    const w = canvas.width;
+    const h = canvas.height;
+    const values = getInputValues();
+    const bias = getBias();
+    const cells = [];
+    const parts = [];
+
+    // Cells
+    const cw = w / SVG_GRID;
+    const ch = h / SVG_GRID;
+    for (let gy = 0; gy < SVG_GRID; gy++) {
+        for (let gx = 0; gx < SVG_GRID; gx++) {
+            const v = [...values];
+            v[axisX] = inputAt(axisX, (gx + 0.5) / SVG_GRID);
+            v[axisY] = inputAt(axisY, 1 - (gy + 0.5) / SVG_GRID);
+            const fill = sigmaToColor(outputToUnit(activate(computeZ(v, bias))));
+            cells.push(`<rect x="${(gx * cw).toFixed(2)}" y="${(gy * ch).toFixed(2)}" width="${cw.toFixed(2)}" height="${ch.toFixed(2)}" fill="${fill}"/>`);
+        }
+    }
+
+    // Boundary and iso-lines, labeled like the canvas version
+    for (const { level, boundary, lines } of computeContours(values, bias)) {
+        for (const line of lines) {
+            const d = svgPath(line);
+            if (boundary) {
+                parts.push(`<path d="${d}" fill="none" stroke="rgba(13,17,23,0.6)" stroke-width="4.5" stroke-linejoin="round"/>`);
+                parts.push(`<path d="${d}" fill="none" stroke="#FFD700" stroke-width="2.5" stroke-linejoin="round"/>`);
+            } else {
+                parts.push(`<path d="${d}" fill="none" stroke="rgba(13,17,23,0.65)" stroke-width="1.2" stroke-dasharray="5 4"/>`);
+            }
+        }
+        if (lines.length > 0) {
+            const longest = lines.reduce((a, b) => (b.length > a.length ? b : a));
+            const p = longest[Math.floor(longest.length / 2)];
+            parts.push(`<text x="${p.x.toFixed(1)}" y="${p.y.toFixed(1)}" font-family="monospace" font-size="10" font-weight="bold" fill="#e6edf3" stroke="#0d1117" stroke-width="3" paint-order="stroke" text-anchor="middle" dominant-baseline="middle">${levelLabel(level)}</text>`);
+        }
+    }
+
+    // Examples
+    for (const ex of examples) {
+        const { px, py } = projectToCanvas(ex.values);
+        if (!isCorrect(ex)) {
+            parts.push(`<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="9" fill="none" stroke="${MARKER_WRONG}" stroke-width="2.5"/>`);
+        }
+        const fill = ex.label === 1 ? MARKER_MATCH : MARKER_MISMATCH;
+        parts.push(ex.label === 1
+            ? `<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="5" fill="${fill}" stroke="#0d1117" stroke-width="1.5"/>`
+            : `<rect x="${(px - 4.5).toFixed(1)}" y="${(py - 4.5).toFixed(1)}" width="9" height="9" fill="${fill}" stroke="#0d1117" stroke-width="1.5"/>`);
+    }
+
+    // Crosshair
+    const { px, py } = projectToCanvas(values);
+    parts.push(`<path d="M${px.toFixed(1)} 0 V${h} M0 ${py.toFixed(1)} H${w}" stroke="#FFD700" stroke-width="1" stroke-dasharray="4 4"/>`);
+    parts.push(`<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="7" fill="#FFD700" stroke="#0d1117" stroke-width="2"/>`);
+
+    const [xMin, xMax] = formatRange(axisX);
+    const [yMin, yMax] = formatRange(axisY);
+    const totalW = w + m.left + m.right;
+    const totalH = h + m.top + m.bottom;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${totalW}" height="${totalH}" viewBox="0 0 ${totalW} ${totalH}" font-family="sans-serif">
+<rect width="${totalW}" height="${totalH}" fill="#0d1117"/>
+<text x="${m.left}" y="${m.top / 2}" font-size="13" font-weight="bold" fill="#e6edf3" dominant-baseline="middle">${escapeHTML(exportTitle())}</text>
+<g transform="translate(${m.left} ${m.top})" shape-rendering="crispEdges">
+${cells.join("\n")}
+</g>
+<g transform="translate(${m.left} ${m.top})">
+${parts.join("\n")}
+<rect x="-0.5" y="-0.5" width="${w + 1}" height="${h + 1}" fill="none" stroke="#30363d"/>
+</g>
+<g font-size="11" fill="#8b949e">
+<text x="${m.left}" y="${m.top + h + 14}">${xMin}</text>
+<text x="${m.left + w}" y="${m.top + h + 14}" text-anchor="end">${xMax}</text>
+<text x="${m.left + w / 2}" y="${m.top + h + 32}" text-anchor="middle">${escapeHTML(INPUTS[axisX].name)} →</text>
+<text x="${m.left - 4}" y="${m.top + 10}" text-anchor="end">${yMax}</text>
+<text x="${m.left - 4}" y="${m.top + h}" text-anchor="end">${yMin}</text>
+<text transform="translate(${m.left - 30} ${m.top + h / 2}) rotate(-90)" text-anchor="middle">${escapeHTML(INPUTS[axisY].name)} →</text>
+</g>
+</svg>
+`;
+}
+
+function exportHeatmapSVG() {
+    downloadText(heatmapSVG(), "sock-heatmap.svg", "image/svg+xml");
+}
+
+// ── Printable Report ──
+// Light theme so it prints cleanly; the weight table is copied from the
+// page as rendered, the heatmap goes in as the framed PNG, and the new
+// window opens its print dialog once the image has loaded.
+function reportHTML() {
+    const values = getInputValues();
+    const act = ACTIVATIONS[outputActivation];
+    const z = computeZ(values, getBias());
+    const out = act.fn(z);
+    const weightTable = document.querySelector(".weight-table table").outerHTML;
+    let evaluation = "<p>No labeled examples.</p>";
+    if (examples.length) {
+        const m = confusionMatrix(exampleScores(), decisionThreshold);
+        const metrics = classificationMetrics(m);
+        evaluation = `<p>${m.tp + m.tn} / ${examples.length} classified correctly · ` +
+            `accuracy ${formatMetric(metrics.accuracy)} · precision ${formatMetric(metrics.precision)} · ` +
+            `recall ${formatMetric(metrics.recall)} · F1 ${formatMetric(metrics.f1)}</p>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Decision Neuron Report</title>
+<style>
+    @page { size: A4; margin: 14mm; }
+    body { font-family: sans-serif; color: #1f2328; margin: 0 auto; max-width: 720px; font-size: 12px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 13px; margin: 14px 0 6px; }
+    .meta { color: #57606a; margin: 0 0 10px; }
+    .summary { display: flex; gap: 20px; align-items: flex-start; }
+    .summary img { width: 300px; border: 1px solid #d0d7de; }
+    .figures { font-family: monospace; font-size: 13px; line-height: 1.7; }
+    .decision { font-weight: bold; font-size: 15px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #d0d7de; font-family: monospace; }
+    th { font-family: sans-serif; color: #57606a; }
+    [hidden] { display: none; }
+</style>
+</head>
+<body>
+<h1>Decision Neuron Report</h1>
+<p class="meta">${escapeHTML(new Date().toLocaleString())} · ${INPUTS.length} inputs${hiddenLayer.enabled ? ` · hidden layer of ${hiddenLayer.width} ${escapeHTML(ACTIVATIONS[hiddenLayer.activation].label)} units` : ""}</p>
+<div class="summary">
+    <img src="${heatmapExportCanvas().toDataURL("image/png")}" alt="Heatmap over ${escapeHTML(INPUTS[axisX].name)} and ${escapeHTML(INPUTS[axisY].name)}">
+    <div class="figures">
+        <div>z = ${z.toFixed(3)}</div>
+        <div>${escapeHTML(act.symbol)} = ${out.toFixed(3)}</div>
+        <div>bias = ${getBias().toFixed(3)}</div>
+        <div>threshold τ = ${decisionThreshold.toFixed(2)}</div>
+        <div class="decision">${escapeHTML(decisionEl.textContent)}</div>
+        <div>fires when ${escapeHTML(act.rule(decisionThreshold))}</div>
+    </div>
+</div>
+<h2>Weights</h2>
+${weightTable}
+<h2>Examples</h2>
+${evaluation}
+<script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+function printReport() {
+    const win = window.open("", "_blank");
+    if (!win) {
+        ioStatus.textContent = "The report window was blocked — allow pop-ups for this page and try again.";
+        return;
+    }
+    win.document.write(reportHTML());
+    win.document.close();
+}
+
+// ── Events ──
+exportHeatmapPngBtn.addEventListener("click", exportHeatmapPNG);
+exportHeatmapSvgBtn.addEventListener("click", exportHeatmapSVG);
+printReportBtn.addEventListener("click", printReport);
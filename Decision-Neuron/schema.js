@@ -0,0 +1,140 @@
+// ── Input Schema ──
+// INPUTS is edited in place; everything that depends on it (sliders,
+// axis dropdowns, weight table, heatmap, examples) is rebuilt from it.
+const MIN_INPUTS = 2;
+const MAX_INPUTS = 12;
+const DEFAULT_INPUTS = INPUTS.map(input => ({ ...input }));
+
+// ── DOM References ──
+const schemaBody = document.getElementById("schema-body");
+const addInputBtn = document.getElementById("add-input-btn");
+const resetSchemaBtn = document.getElementById("reset-schema-btn");
+
+// ── Schema Changes ──
+// Swaps in a new list of inputs. Inputs are matched to their old position
+// by identity, so slider values and examples follow them through adds,
+// removes and reorders; brand-new inputs start at their defaultVal.
+function setSchema(newInputs) {
+    pausePerceptron();
+    // Kept inputs may come back with a narrower range (an imported model
+    // brings its own), so carried-over values are clamped into it
+    const oldInputs = [...INPUTS];
+    const remap = values => newInputs.map(input => {
+        const j = oldInputs.indexOf(input);
+        return j === -1 ? input.defaultVal : Math.max(input.min, Math.min(input.max, values[j]));
+    });
+
+    const values = remap(getInputValues());
+    examples.forEach(ex => { ex.values = remap(ex.values); });
+
+    const xInput = oldInputs[axisX];
+    const yInput = oldInputs[axisY];
+    INPUTS.splice(0, INPUTS.length, ...newInputs);
+    axisX = INPUTS.indexOf(xInput);
+    axisY = INPUTS.indexOf(yInput);
+    if (axisX === -1) axisX = axisY === 0 ? 1 : 0;
+    if (axisY === -1) axisY = axisX === 1 ? 0 : 1;
+
+    renderInputControls(values);
+    renderSchemaEditor();
+    refreshAxes();
+}
+
+// Names and ranges changed but the list itself did not
+function refreshInputs() {
+    renderInputControls(getInputValues());
+    refreshAxes();
+}
+
+function refreshAxes() {
+    renderAxisOptions();
+    updateAxisLabels();
+    syncAll();
+}
+
+function addInput() {
+    if (INPUTS.length >= MAX_INPUTS) return;
+    let n = INPUTS.length + 1;
+    while (INPUTS.some(input => input.name === `Input ${n}`)) n++;
+    setSchema([...INPUTS, { name: `Input ${n}`, weight: 0, defaultWeight: 0, defaultVal: 5, min: 0, max: 10, desc: "" }]);
+}
+
+function removeInput(index) {
+    if (INPUTS.length <= MIN_INPUTS) return;
+    setSchema(INPUTS.filter((_, i) => i !== index));
+}
+
+// Restores the six sock inputs, keeping values for any that still exist
+function resetSchema() {
+    setSchema(DEFAULT_INPUTS.map(def =>
+        Object.assign(INPUTS.find(input => input.name === def.name) || {}, def)
+    ));
+}
+
+// ── Schema Editor ──
+function renderSchemaEditor() {
+    let html = "";
+    INPUTS.forEach((input, i) => {
+        html += `<tr data-index="${i}">
+            <td><input type="text" class="schema-name" value="${escapeHTML(input.name)}" aria-label="Input ${i + 1} name"></td>
+            <td><input type="number" class="schema-weight" step="0.05" value="${input.weight.toFixed(2)}" aria-label="Input ${i + 1} weight"></td>
+            <td><input type="number" class="schema-min" step="any" value="${input.min}" aria-label="Input ${i + 1} min"></td>
+            <td><input type="number" class="schema-max" step="any" value="${input.max}" aria-label="Input ${i + 1} max"></td>
+            <td><button class="remove-btn" title="Remove input"${INPUTS.length <= MIN_INPUTS ? " disabled" : ""}>×</button></td>
+        </tr>`;
+    });
+    schemaBody.innerHTML = html;
+    addInputBtn.disabled = INPUTS.length >= MAX_INPUTS;
+}
+
+// Keeps the weight fields in step with training, without fighting the user's typing
+function updateSchemaEditorWeights() {
+    schemaBody.querySelectorAll(".schema-weight").forEach((field, i) => {
+        if (field !== document.activeElement && INPUTS[i]) {
+            field.value = INPUTS[i].weight.toFixed(2);
+        }
+    });
+}
+
+// ── Events ──
+schemaBody.addEventListener("change", (e) => {
+    const row = e.target.closest("tr");
+    if (!row) return;
+    const input = INPUTS[parseInt(row.dataset.index)];
+
+    if (e.target.classList.contains("schema-name")) {
+        const name = e.target.value.trim();
+        if (name) input.name = name;
+        e.target.value = input.name;
+        refreshInputs();
+    } else if (e.target.classList.contains("schema-weight")) {
+        const w = parseFloat(e.target.value);
+        if (Number.isFinite(w)) input.weight = input.defaultWeight = w;
+        syncAll();
+    } else if (e.target.classList.contains("schema-min")) {
+        const min = parseFloat(e.target.value);
+        if (Number.isFinite(min) && min < input.max) {
+            input.min = min;
+            input.defaultVal = Math.max(input.defaultVal, min);
+        }
+        e.target.value = input.min;
+        refreshInputs();
+    } else if (e.target.classList.contains("schema-max")) {
+        const max = parseFloat(e.target.value);
+        if (Number.isFinite(max) && max > input.min) {
+            input.max = max;
+            input.defaultVal = Math.min(input.defaultVal, max);
+        }
+        e.target.value = input.max;
+        refreshInputs();
+    }
+});
+
+schemaBody.addEventListener("click", (e) => {
+    const btn = e.target.closest(".remove-btn");
+    if (!btn) return;
+    removeInput(parseInt(btn.closest("tr").dataset.index));
+});
+
+addInputBtn.addEventListener("click", addInput);
+resetSchemaBtn.addEventListener("click", resetSchema);
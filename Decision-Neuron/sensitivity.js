@@ -0,0 +1,176 @@
+// ── Sensitivity & What-If ──
+// For the current point, one input at a time with the rest held fixed:
+// where the decision flips, the local slope of the output, and how far the
+// output can swing across the input's range (the tornado chart). Everything
+// goes through computeZ, so it holds for the hidden layer as well.
+const FLIP_SAMPLES = 200;
+const FLIP_BISECTIONS = 30;
+const TORNADO_ROW = 22;
+
+// ── DOM References ──
+const sensitivityBody = document.getElementById("sensitivity-body");
+const sensitivitySlopeHead = document.getElementById("sensitivity-slope-head");
+const tornadoCanvas = document.getElementById("tornado-canvas");
+const tornadoCtx = tornadoCanvas.getContext("2d");
+
+// ── Analysis ──
+function withInput(values, i, x) {
+    const v = [...values];
+    v[i] = x;
+    return v;
+}
+
+function decisionAt(values) {
+    return fires(activate(computeZ(values, getBias())));
+}
+
+// Value of input i where the decision flips, closest to its current value,
+// or null when the decision holds across the whole range
+function flipValue(values, i) {
+    const at = x => decisionAt(withInput(values, i, x));
+    let best = null;
+    let prevX = INPUTS[i].min;
+    let prev = at(prevX);
+
+    for (let k = 1; k <= FLIP_SAMPLES; k++) {
+        const x = inputAt(i, k / FLIP_SAMPLES);
+        const cur = at(x);
+        if (cur !== prev) {
+            // Bisect the bracket down to the crossing
+            let lo = prevX, hi = x;
+            for (let b = 0; b < FLIP_BISECTIONS; b++) {
+                const mid = (lo + hi) / 2;
+                if (at(mid) === prev) lo = mid;
+                else hi = mid;
+            }
+            const flip = (lo + hi) / 2;
+            if (best === null || Math.abs(flip - values[i]) < Math.abs(best - values[i])) best = flip;
+        }
+        prevX = x;
+        prev = cur;
+    }
+    return best;
+}
+
+// ∂output/∂xᵢ per unit of the input's own scale: central difference on z,
+// chained through the output activation's derivative
+function outputSlope(values, i) {
+    const h = (INPUTS[i].max - INPUTS[i].min) * 1e-4;
+    const bias = getBias();
+    const z = computeZ(values, bias);
+    const dz = (computeZ(withInput(values, i, values[i] + h), bias) -
+                computeZ(withInput(values, i, values[i] - h), bias)) / (2 * h);
+    return ACTIVATIONS[outputActivation].grad(z) * dz;
+}
+
+// Output (0–1 reading) with input i at each end of its range
+function outputSwing(values, i) {
+    const bias = getBias();
+    const atEnd = x => outputToUnit(activate(computeZ(withInput(values, i, x), bias)));
+    const low = atEnd(INPUTS[i].min);
+    const high = atEnd(INPUTS[i].max);
+    return { low, high, range: Math.abs(high - low) };
+}
+
+// ── Rendering ──
+function renderSensitivity() {
+    const values = getInputValues();
+    if (values.length !== INPUTS.length) return;
+
+    const symbol = ACTIVATIONS[outputActivation].symbol;
+    sensitivitySlopeHead.textContent = `∂${symbol}/∂x`;
+
+    let html = "";
+    INPUTS.forEach((input, i) => {
+        const decimals = sliderDecimals(i);
+        const flip = flipValue(values, i);
+        const slope = outputSlope(values, i);
+        let flipCell = '<span class="no-flip">never in range</span>';
+        if (flip !== null) {
+            const delta = flip - values[i];
+            flipCell = `${flip.toFixed(decimals)} <span class="flip-delta">(${delta >= 0 ? "+" : "−"}${Math.abs(delta).toFixed(decimals)})</span>`;
+        }
+        html += `<tr>
+            <td>${escapeHTML(input.name)}</td>
+            <td>${values[i].toFixed(decimals)}</td>
+            <td>${flipCell}</td>
+            <td class="${slope >= 0 ? "contribution-positive" : "contribution-negative"}">${slope >= 0 ? "+" : "−"}${Math.abs(slope).toFixed(4)}</td>
+        </tr>`;
+    });
+    sensitivityBody.innerHTML = html;
+
+    drawTornado(values);
+}
+
+// Bars span the output reached at each end of an input's range, widest first.
+// The white tick is the current output and the gold line the boundary.
+function drawTornado(values) {
+    const rows = INPUTS.map((input, i) => ({ name: input.name, ...outputSwing(values, i) }))
+        .sort((a, b) => b.range - a.range);
+
+    tornadoCanvas.height = 30 + rows.length * TORNADO_ROW;
+    const w = tornadoCanvas.width;
+    const h = tornadoCanvas.height;
+    const left = 150;
+    const right = w - 16;
+    const toX = unit => left + unit * (right - left);
+    const current = outputToUnit(activate(computeZ(values, getBias())));
+
+    tornadoCtx.fillStyle = "#161b22";
+    tornadoCtx.fillRect(0, 0, w, h);
+
+    tornadoCtx.font = "10px sans-serif";
+    tornadoCtx.textBaseline = "middle";
+    rows.forEach((row, k) => {
+        const y = 10 + k * TORNADO_ROW + TORNADO_ROW / 2;
+        const x0 = toX(Math.min(row.low, row.high));
+        const x1 = toX(Math.max(row.low, row.high));
+
+        tornadoCtx.fillStyle = "#8b949e";
+        tornadoCtx.textAlign = "right";
+        tornadoCtx.fillText(truncateLabel(row.name, 22), left - 8, y);
+
+        // Blue half toward mismatch, magenta half toward match
+        const cx = Math.max(x0, Math.min(x1, toX(current)));
+        tornadoCtx.fillStyle = sigmaToColor(0.15);
+        tornadoCtx.fillRect(x0, y - 7, cx - x0, 14);
+        tornadoCtx.fillStyle = sigmaToColor(0.85);
+        tornadoCtx.fillRect(cx, y - 7, x1 - cx, 14);
+
+        // Which end of the input pushes which way
+        tornadoCtx.fillStyle = "#0d1117";
+        tornadoCtx.font = "9px monospace";
+        tornadoCtx.textAlign = "center";
+        if (x1 - x0 > 24) {
+            tornadoCtx.fillText(row.low <= row.high ? "min" : "max", x0 + 12, y);
+            tornadoCtx.fillText(row.low <= row.high ? "max" : "min", x1 - 12, y);
+        }
+        tornadoCtx.font = "10px sans-serif";
+    });
+
+    const baseY = h - 14;
+    tornadoCtx.strokeStyle = "#30363d";
+    tornadoCtx.lineWidth = 1;
+    tornadoCtx.beginPath();
+    tornadoCtx.moveTo(left, baseY);
+    tornadoCtx.lineTo(right, baseY);
+    tornadoCtx.stroke();
+    tornadoCtx.fillStyle = "#6e7681";
+    tornadoCtx.textAlign = "center";
+    [0, 0.5, 1].forEach(t => tornadoCtx.fillText(t.toFixed(1), toX(t), baseY + 8));
+
+    tornadoCtx.strokeStyle = "#FFD700";
+    tornadoCtx.setLineDash([4, 3]);
+    tornadoCtx.beginPath();
+    tornadoCtx.moveTo(toX(decisionThreshold), 6);
+    tornadoCtx.lineTo(toX(decisionThreshold), baseY);
+    tornadoCtx.stroke();
+    tornadoCtx.setLineDash([]);
+
+    tornadoCtx.strokeStyle = "#e6edf3";
+    tornadoCtx.lineWidth = 2;
+    tornadoCtx.beginPath();
+    tornadoCtx.moveTo(toX(current), 6);
+    tornadoCtx.lineTo(toX(current), baseY);
+    tornadoCtx.stroke();
+}
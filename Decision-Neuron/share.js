@@ -0,0 +1,259 @@
+// ── Share & Scenarios ──
+// The whole configuration as one plain object: the schema with its weights
+// and ranges, preprocessing, slider values, bias, axis pair, activation,
+// loss and threshold, plus the hidden layer when it is on. Links carry it as
+// URL parameters; scenarios keep it in localStorage under a name. Examples
+// stay out — they belong to a dataset.
+const SCENARIO_KEY = "decisionNeuronScenarios";
+
+// ── DOM References ──
+const copyLinkBtn = document.getElementById("copy-link-btn");
+const scenarioNameInput = document.getElementById("scenario-name");
+const saveScenarioBtn = document.getElementById("save-scenario-btn");
+const scenarioList = document.getElementById("scenario-list");
+const shareStatus = document.getElementById("share-status");
+
+// ── Capture & Apply ──
+function captureState() {
+    if (hiddenLayer.enabled) ensureHiddenShape();
+    return {
+        inputs: INPUTS.map(input => ({
+            name: input.name,
+            weight: input.weight,
+            min: input.min,
+            max: input.max,
+            ...(hiddenLayer.enabled ? { hidden: [...input.hidden] } : {})
+        })),
+        normalization,
+        values: getInputValues(),
+        bias: getBias(),
+        axisX,
+        axisY,
+        activation: outputActivation,
+        loss: lossType,
+        threshold: decisionThreshold,
+        hiddenLayer: hiddenLayer.enabled ? {
+            activation: hiddenLayer.activation,
+            bias: [...hiddenLayer.bias],
+            output: [...hiddenLayer.output]
+        } : null
+    };
+}
+
+// Loads the schema and weights through applyModel, then restores the rest.
+// Anything missing or out of range keeps its current value.
+function applyState(state) {
+    applyModel(state.inputs, state.bias, state.hiddenLayer, state.normalization);
+
+    const values = state.values || [];
+    renderInputControls(INPUTS.map((input, i) =>
+        Number.isFinite(values[i]) ? Math.max(input.min, Math.min(input.max, values[i])) : input.defaultVal
+    ));
+
+    const validAxis = a => Number.isInteger(a) && a >= 0 && a < INPUTS.length;
+    if (validAxis(state.axisX) && validAxis(state.axisY) && state.axisX !== state.axisY) {
+        axisX = state.axisX;
+        axisY = state.axisY;
+    }
+    if (ACTIVATIONS[state.activation]) outputActivation = state.activation;
+    if (state.loss === "bce" || state.loss === "mse") lossType = state.loss;
+    decisionThreshold = Number.isFinite(state.threshold)
+        ? Math.max(0.01, Math.min(0.99, state.threshold))
+        : DEFAULT_THRESHOLD;
+    activationSelect.value = outputActivation;
+    lossSelect.value = lossType;
+    thresholdSlider.value = decisionThreshold;
+    thresholdVal.textContent = decisionThreshold.toFixed(2);
+    updateLegend();
+    refreshAxes();
+}
+
+// ── URL Encoding ──
+// One repeated "input" parameter per input keeps names with commas intact;
+// the numeric lists that line up with it are comma-joined.
+function formatNumber(n) {
+    return String(Number(n.toPrecision(6)));
+}
+
+function parseNumberList(str) {
+    return str ? str.split(",").map(Number) : [];
+}
+
+function stateToParams(state) {
+    const p = new URLSearchParams();
+    state.inputs.forEach(input => p.append("input", input.name));
+    p.set("w", state.inputs.map(input => formatNumber(input.weight)).join(","));
+    p.set("min", state.inputs.map(input => formatNumber(input.min)).join(","));
+    p.set("max", state.inputs.map(input => formatNumber(input.max)).join(","));
+    p.set("norm", state.normalization);
+    p.set("v", state.values.map(formatNumber).join(","));
+    p.set("bias", formatNumber(state.bias));
+    p.set("x", state.axisX);
+    p.set("y", state.axisY);
+    p.set("act", state.activation);
+    p.set("loss", state.loss);
+    p.set("t", formatNumber(state.threshold));
+    if (state.hiddenLayer) {
+        p.set("hact", state.hiddenLayer.activation);
+        p.set("hbias", state.hiddenLayer.bias.map(formatNumber).join(","));
+        p.set("hout", state.hiddenLayer.output.map(formatNumber).join(","));
+        // One row of hidden weights per input, rows separated by ";"
+        p.set("hw", state.inputs.map(input => input.hidden.map(formatNumber).join(",")).join(";"));
+    }
+    return p;
+}
+
+function paramsToState(p) {
+    const names = p.getAll("input");
+    const weights = parseNumberList(p.get("w"));
+    const mins = parseNumberList(p.get("min"));
+    const maxes = parseNumberList(p.get("max"));
+    const hiddenRows = p.has("hw") ? p.get("hw").split(";").map(parseNumberList) : [];
+
+    return {
+        inputs: names.map((name, i) => ({
+            name,
+            weight: weights[i],
+            min: mins[i],
+            max: maxes[i],
+            ...(hiddenRows[i] ? { hidden: hiddenRows[i] } : {})
+        })),
+        values: parseNumberList(p.get("v")),
+        bias: parseFloat(p.get("bias")),
+        axisX: parseInt(p.get("x")),
+        axisY: parseInt(p.get("y")),
+        activation: p.get("act"),
+        loss: p.get("loss"),
+        normalization: p.get("norm"),
+        threshold: parseFloat(p.get("t")),
+        hiddenLayer: p.has("hout") ? {
+            activation: p.get("hact"),
+            bias: parseNumberList(p.get("hbias")),
+            output: parseNumberList(p.get("hout"))
+        } : null
+    };
+}
+
+function getPermalink() {
+    const url = new URL(window.location.href);
+    url.search = stateToParams(captureState()).toString();
+    url.hash = "";
+    return url.toString();
+}
+
+function loadFromURL() {
+    const p = new URLSearchParams(window.location.search);
+    if (!p.has("input")) return;
+    try {
+        applyState(paramsToState(p));
+        shareStatus.textContent = "Loaded the configuration from the link.";
+    } catch (err) {
+        shareStatus.textContent = `Could not load the link: ${err.message}`;
+    }
+}
+
+// ── Saved Scenarios ──
+// Storage can be unavailable (private mode, file:// in some browsers),
+// so reads fall back to an empty list and failed writes are reported.
+function readScenarios() {
+    try {
+        const list = JSON.parse(localStorage.getItem(SCENARIO_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function writeScenarios(list) {
+    try {
+        localStorage.setItem(SCENARIO_KEY, JSON.stringify(list));
+        return true;
+    } catch (err) {
+        shareStatus.textContent = `Could not save scenarios: ${err.message}`;
+        return false;
+    }
+}
+
+// Saving under an existing name replaces that scenario
+function saveScenario(name) {
+    const list = readScenarios().filter(s => s.name !== name);
+    list.push({ name, saved: new Date().toISOString(), state: captureState() });
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    if (writeScenarios(list)) shareStatus.textContent = `Saved "${name}".`;
+    renderScenarioList();
+}
+
+function loadScenario(name) {
+    const scenario = readScenarios().find(s => s.name === name);
+    if (!scenario) return;
+    try {
+        applyState(scenario.state);
+        shareStatus.textContent = `Loaded "${name}".`;
+    } catch (err) {
+        shareStatus.textContent = `Could not load "${name}": ${err.message}`;
+    }
+}
+
+function deleteScenario(name) {
+    if (writeScenarios(readScenarios().filter(s => s.name !== name))) {
+        shareStatus.textContent = `Deleted "${name}".`;
+    }
+    renderScenarioList();
+}
+
+function renderScenarioList() {
+    const list = readScenarios();
+    if (list.length === 0) {
+        scenarioList.innerHTML = '<li class="empty-row">No saved scenarios yet.</li>';
+        return;
+    }
+    scenarioList.innerHTML = list.map(s => `<li data-name="${escapeHTML(s.name)}">
+        <span class="scenario-name">${escapeHTML(s.name)}</span>
+        <span class="scenario-date">${escapeHTML(new Date(s.saved).toLocaleString())}</span>
+        <button class="btn load-scenario">Load</button>
+        <button class="remove-btn" title="Delete scenario">×</button>
+    </li>`).join("");
+}
+
+// ── Events ──
+copyLinkBtn.addEventListener("click", () => {
+    const url = getPermalink();
+    // The clipboard API only exists in secure contexts
+    if (!navigator.clipboard) {
+        shareStatus.textContent = url;
+        return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+        copyLinkBtn.textContent = "✓ Copied!";
+        setTimeout(() => { copyLinkBtn.textContent = "🔗 Copy Link"; }, 2000);
+    }, () => {
+        shareStatus.textContent = url;
+    });
+});
+
+saveScenarioBtn.addEventListener("click", () => {
+    const name = scenarioNameInput.value.trim();
+    if (!name) {
+        scenarioNameInput.focus();
+        return;
+    }
+    saveScenario(name);
+    scenarioNameInput.value = "";
+});
+
+scenarioNameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveScenarioBtn.click();
+});
+
+scenarioList.addEventListener("click", (e) => {
+    const row = e.target.closest("li[data-name]");
+    if (!row) return;
+    if (e.target.closest(".load-scenario")) loadScenario(row.dataset.name);
+    else if (e.target.closest(".remove-btn")) deleteScenario(row.dataset.name);
+});
+
+// Runs after neuron.js has built the default controls
+document.addEventListener("DOMContentLoaded", () => {
+    renderScenarioList();
+    loadFromURL();
+});
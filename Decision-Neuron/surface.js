@@ -0,0 +1,255 @@
+// ── 3D Output Surface ──
+// The heatmap's two axes as a floor, with the neuron's output as height.
+// Plain canvas: quads are projected by hand and painted back to front.
+const SURFACE_GRID = 36;
+const SURFACE_HEIGHT = 1.1;
+const CAMERA_DISTANCE = 4;
+const LIGHT_DIR = normalize3([-0.4, -0.5, 0.8]);
+const DEFAULT_YAW = -0.6;
+const DEFAULT_PITCH = 0.9;
+
+// ── DOM References ──
+const surfacePanel = document.getElementById("surface-panel");
+const surfaceCanvas = document.getElementById("surface-canvas");
+const surfCtx = surfaceCanvas.getContext("2d");
+const surfaceHeightSelect = document.getElementById("surface-height");
+const surfacePlaneToggle = document.getElementById("surface-plane");
+const surfaceResetBtn = document.getElementById("surface-reset");
+
+// ── State ──
+let surfaceYaw = DEFAULT_YAW;
+let surfacePitch = DEFAULT_PITCH;
+let surfaceDrag = null;
+
+// ── Geometry ──
+function normalize3(v) {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+// World: x and y span −1…1 across the floor, height 0…1 is lifted to
+// world up. Returns screen position plus depth (larger = farther away).
+function projectSurfacePoint(x, y, height) {
+    const up = (height - 0.5) * SURFACE_HEIGHT;
+    const cx = x * Math.cos(surfaceYaw) - y * Math.sin(surfaceYaw);
+    const cy = x * Math.sin(surfaceYaw) + y * Math.cos(surfaceYaw);
+    const screenUp = up * Math.cos(surfacePitch) + cy * Math.sin(surfacePitch);
+    const depth = cy * Math.cos(surfacePitch) - up * Math.sin(surfacePitch);
+    const scale = surfaceCanvas.width * 0.3 * CAMERA_DISTANCE / (CAMERA_DISTANCE + depth);
+    return {
+        x: surfaceCanvas.width / 2 + cx * scale,
+        y: surfaceCanvas.height / 2 - screenUp * scale,
+        depth
+    };
+}
+
+// Heights on a (n + 1)² grid plus the height of the decision plane.
+// σ mode plots the activation's 0–1 reading (σ itself by default) with
+// the plane at τ; z mode rescales z so that both the field and the
+// threshold's z fit in the box.
+function sampleSurface(values, bias, n) {
+    const z = new Float64Array((n + 1) * (n + 1));
+    const v = [...values];
+    for (let j = 0; j <= n; j++) {
+        v[axisY] = inputAt(axisY, j / n);
+        for (let i = 0; i <= n; i++) {
+            v[axisX] = inputAt(axisX, i / n);
+            z[j * (n + 1) + i] = computeZ(v, bias);
+        }
+    }
+
+    const colors = Array.from(z, zv => outputToUnit(activate(zv)));
+    if (surfaceHeightSelect.value !== "z") {
+        return { heights: colors, colors, plane: decisionThreshold };
+    }
+
+    const zCut = thresholdZ();
+    let zMin = zCut;
+    let zMax = zCut;
+    for (const zv of z) {
+        zMin = Math.min(zMin, zv);
+        zMax = Math.max(zMax, zv);
+    }
+    const span = zMax - zMin || 1;
+    return {
+        heights: Array.from(z, zv => (zv - zMin) / span),
+        colors,
+        plane: (zCut - zMin) / span
+    };
+}
+
+// ── Rendering ──
+function shadeColor(rgb, factor) {
+    return `rgb(${Math.round(rgb[0] * factor)},${Math.round(rgb[1] * factor)},${Math.round(rgb[2] * factor)})`;
+}
+
+function drawSurfaceAxes() {
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => projectSurfacePoint(x, y, 0));
+    surfCtx.strokeStyle = "#30363d";
+    surfCtx.lineWidth = 1;
+    surfCtx.beginPath();
+    corners.forEach((p, k) => (k === 0 ? surfCtx.moveTo(p.x, p.y) : surfCtx.lineTo(p.x, p.y)));
+    surfCtx.closePath();
+    surfCtx.stroke();
+
+    // Vertical edge at the origin corner
+    const top = projectSurfacePoint(-1, -1, 1);
+    surfCtx.beginPath();
+    surfCtx.moveTo(corners[0].x, corners[0].y);
+    surfCtx.lineTo(top.x, top.y);
+    surfCtx.stroke();
+
+    surfCtx.fillStyle = "#8b949e";
+    surfCtx.font = "10px sans-serif";
+    surfCtx.textAlign = "center";
+    surfCtx.textBaseline = "middle";
+    const xLabel = projectSurfacePoint(0, -1.25, 0);
+    const yLabel = projectSurfacePoint(-1.25, 0, 0);
+    surfCtx.fillText(truncateLabel(INPUTS[axisX].name, 22) + " →", xLabel.x, xLabel.y);
+    surfCtx.fillText(truncateLabel(INPUTS[axisY].name, 22) + " →", yLabel.x, yLabel.y);
+    surfCtx.fillText(surfaceHeightSelect.value === "z" ? "z" : ACTIVATIONS[outputActivation].symbol, top.x, top.y - 10);
+}
+
+function renderSurface() {
+    if (!surfacePanel.open) return;
+    const values = getInputValues();
+    if (values.length !== INPUTS.length) return;
+
+    const w = surfaceCanvas.width;
+    const h = surfaceCanvas.height;
+    const n = SURFACE_GRID;
+    const { heights, colors, plane } = sampleSurface(values, getBias(), n);
+    const at = (arr, i, j) => arr[j * (n + 1) + i];
+    const gridX = i => -1 + 2 * i / n;
+
+    surfCtx.fillStyle = "#161b22";
+    surfCtx.fillRect(0, 0, w, h);
+    drawSurfaceAxes();
+
+    // Collect surface quads and, optionally, the decision plane cut into the
+    // same cells so the painter's sort interleaves them correctly
+    const quads = [];
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const x0 = gridX(i), x1 = gridX(i + 1), y0 = gridX(j), y1 = gridX(j + 1);
+            const hs = [at(heights, i, j), at(heights, i + 1, j), at(heights, i + 1, j + 1), at(heights, i, j + 1)];
+            const pts = [
+                projectSurfacePoint(x0, y0, hs[0]),
+                projectSurfacePoint(x1, y0, hs[1]),
+                projectSurfacePoint(x1, y1, hs[2]),
+                projectSurfacePoint(x0, y1, hs[3])
+            ];
+
+            // Lambert shading from the cell's normal in world space
+            const cell = 2 / n;
+            const dx = ((hs[1] - hs[0]) + (hs[2] - hs[3])) / 2 * SURFACE_HEIGHT;
+            const dy = ((hs[3] - hs[0]) + (hs[2] - hs[1])) / 2 * SURFACE_HEIGHT;
+            const normal = normalize3([-dx * cell, -dy * cell, cell * cell]);
+            const light = Math.max(0, normal[0] * LIGHT_DIR[0] + normal[1] * LIGHT_DIR[1] + normal[2] * LIGHT_DIR[2]);
+            const unit = (at(colors, i, j) + at(colors, i + 1, j) + at(colors, i + 1, j + 1) + at(colors, i, j + 1)) / 4;
+
+            quads.push({
+                pts,
+                depth: (pts[0].depth + pts[1].depth + pts[2].depth + pts[3].depth) / 4,
+                fill: shadeColor(sigmaToRGB(unit), 0.55 + 0.45 * light),
+                stroke: "rgba(13,17,23,0.25)"
+            });
+
+            if (surfacePlaneToggle.checked) {
+                const planePts = [
+                    projectSurfacePoint(x0, y0, plane),
+                    projectSurfacePoint(x1, y0, plane),
+                    projectSurfacePoint(x1, y1, plane),
+                    projectSurfacePoint(x0, y1, plane)
+                ];
+                quads.push({
+                    pts: planePts,
+                    depth: (planePts[0].depth + planePts[1].depth + planePts[2].depth + planePts[3].depth) / 4,
+                    fill: "rgba(255,215,0,0.22)",
+                    stroke: null
+                });
+            }
+        }
+    }
+
+    quads.sort((a, b) => b.depth - a.depth);
+    surfCtx.lineWidth = 0.5;
+    for (const q of quads) {
+        surfCtx.beginPath();
+        surfCtx.moveTo(q.pts[0].x, q.pts[0].y);
+        for (let k = 1; k < 4; k++) surfCtx.lineTo(q.pts[k].x, q.pts[k].y);
+        surfCtx.closePath();
+        surfCtx.fillStyle = q.fill;
+        surfCtx.fill();
+        if (q.stroke) {
+            surfCtx.strokeStyle = q.stroke;
+            surfCtx.stroke();
+        }
+    }
+
+    drawSurfaceMarker(values, heights, n);
+}
+
+// The current point, dropped onto the surface with a guide to the floor
+function drawSurfaceMarker(values, heights, n) {
+    const fx = inputFraction(axisX, values[axisX]);
+    const fy = inputFraction(axisY, values[axisY]);
+
+    // Bilinear lookup keeps the marker on the drawn surface in both modes
+    const gx = Math.min(n - 1e-9, fx * n);
+    const gy = Math.min(n - 1e-9, fy * n);
+    const i = Math.floor(gx), j = Math.floor(gy);
+    const tx = gx - i, ty = gy - j;
+    const at = (a, b) => heights[b * (n + 1) + a];
+    const height = (at(i, j) * (1 - tx) + at(i + 1, j) * tx) * (1 - ty) +
+                   (at(i, j + 1) * (1 - tx) + at(i + 1, j + 1) * tx) * ty;
+
+    const x = -1 + 2 * fx;
+    const y = -1 + 2 * fy;
+    const floor = projectSurfacePoint(x, y, 0);
+    const p = projectSurfacePoint(x, y, height);
+
+    surfCtx.setLineDash([3, 3]);
+    surfCtx.strokeStyle = "#FFD700";
+    surfCtx.lineWidth = 1;
+    surfCtx.beginPath();
+    surfCtx.moveTo(floor.x, floor.y);
+    surfCtx.lineTo(p.x, p.y);
+    surfCtx.stroke();
+    surfCtx.setLineDash([]);
+
+    surfCtx.beginPath();
+    surfCtx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+    surfCtx.fillStyle = "#FFD700";
+    surfCtx.fill();
+    surfCtx.strokeStyle = "#0d1117";
+    surfCtx.lineWidth = 2;
+    surfCtx.stroke();
+}
+
+// ── Events ──
+surfaceCanvas.addEventListener("pointerdown", (e) => {
+    surfaceDrag = { x: e.clientX, y: e.clientY, yaw: surfaceYaw, pitch: surfacePitch };
+    surfaceCanvas.setPointerCapture(e.pointerId);
+});
+
+surfaceCanvas.addEventListener("pointermove", (e) => {
+    if (!surfaceDrag) return;
+    surfaceYaw = surfaceDrag.yaw + (e.clientX - surfaceDrag.x) * 0.01;
+    surfacePitch = Math.max(0.05, Math.min(Math.PI / 2, surfaceDrag.pitch + (e.clientY - surfaceDrag.y) * 0.01));
+    renderSurface();
+});
+
+surfaceCanvas.addEventListener("pointerup", () => {
+    surfaceDrag = null;
+});
+
+surfaceResetBtn.addEventListener("click", () => {
+    surfaceYaw = DEFAULT_YAW;
+    surfacePitch = DEFAULT_PITCH;
+    renderSurface();
+});
+
+surfacePanel.addEventListener("toggle", renderSurface);
+surfaceHeightSelect.addEventListener("change", renderSurface);
+surfacePlaneToggle.addEventListener("change", renderSurface);
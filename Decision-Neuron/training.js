@@ -0,0 +1,219 @@
+// ── Training Configuration ──
+const BIAS_MIN = -8;
+const BIAS_MAX = 8;
+const MAX_ANIMATION_FRAMES = 150;
+
+// ── DOM References ──
+const lrSlider = document.getElementById("lr-slider");
+const lrVal = document.getElementById("lr-val");
+const epochsSlider = document.getElementById("epochs-slider");
+const epochsVal = document.getElementById("epochs-val");
+const trainBtn = document.getElementById("train-btn");
+const stopBtn = document.getElementById("stop-btn");
+const resetWeightsBtn = document.getElementById("reset-weights-btn");
+const lossCanvas = document.getElementById("loss-curve");
+const lossCtx = lossCanvas.getContext("2d");
+const trainStatus = document.getElementById("train-status");
+
+// ── State ──
+let trainingFrame = null;
+let lossHistory = [];
+
+// ── Loss ──
+// Training is logistic regression whatever output activation and loss are
+// selected, so the curve plots the loss it actually descends: mean binary
+// cross-entropy of σ(z) over all examples
+function trainingLoss() {
+    const eps = 1e-7;
+    let total = 0;
+    for (const ex of examples) {
+        const s = Math.min(1 - eps, Math.max(eps, predict(ex.values)));
+        total += -(ex.label * Math.log(s) + (1 - ex.label) * Math.log(1 - s));
+    }
+    return total / examples.length;
+}
+
+// ── Gradient Descent ──
+// One full-batch logistic-regression step. For cross-entropy loss the
+// gradient w.r.t. z is simply (σ − y), so each weight moves by the error
+// times its normalized input.
+function trainEpoch(lr) {
+    if (hiddenLayer.enabled) {
+        trainNetworkEpoch(lr);
+        return;
+    }
+
+    const gradW = new Array(INPUTS.length).fill(0);
+    let gradB = 0;
+
+    for (const ex of examples) {
+        const err = predict(ex.values) - ex.label;
+        for (let i = 0; i < INPUTS.length; i++) {
+            gradW[i] += err * normalizeInput(ex.values[i], i);
+        }
+        gradB += err;
+    }
+
+    const n = examples.length;
+    for (let i = 0; i < INPUTS.length; i++) {
+        INPUTS[i].weight -= lr * gradW[i] / n;
+    }
+    setBias(Math.max(BIAS_MIN, Math.min(BIAS_MAX, getBias() - lr * gradB / n)));
+}
+
+// Backpropagation through the hidden layer: the output error is pushed
+// back through each output weight and the hidden activation's slope.
+function trainNetworkEpoch(lr) {
+    ensureHiddenShape();
+    const act = ACTIVATIONS[hiddenLayer.activation];
+    const width = hiddenLayer.width;
+    const gradW = INPUTS.map(() => new Array(width).fill(0));
+    const gradHiddenB = new Array(width).fill(0);
+    const gradOut = new Array(width).fill(0);
+    let gradB = 0;
+
+    for (const ex of examples) {
+        const { x, pre, out } = hiddenForward(ex.values);
+        let z = getBias();
+        out.forEach((h, j) => { z += h * hiddenLayer.output[j]; });
+        const err = sigmoid(z) - ex.label;
+
+        gradB += err;
+        for (let j = 0; j < width; j++) {
+            gradOut[j] += err * out[j];
+            const delta = err * hiddenLayer.output[j] * act.grad(pre[j]);
+            gradHiddenB[j] += delta;
+            for (let i = 0; i < INPUTS.length; i++) {
+                gradW[i][j] += delta * x[i];
+            }
+        }
+    }
+
+    const n = examples.length;
+    for (let j = 0; j < width; j++) {
+        hiddenLayer.output[j] -= lr * gradOut[j] / n;
+        hiddenLayer.bias[j] -= lr * gradHiddenB[j] / n;
+        for (let i = 0; i < INPUTS.length; i++) {
+            INPUTS[i].hidden[j] -= lr * gradW[i][j] / n;
+        }
+    }
+    setBias(Math.max(BIAS_MIN, Math.min(BIAS_MAX, getBias() - lr * gradB / n)));
+}
+
+function startTraining() {
+    if (examples.length === 0) {
+        trainStatus.textContent = "Add a few labeled examples, then train.";
+        return;
+    }
+    stopTraining();
+    pausePerceptron();
+
+    const lr = parseFloat(lrSlider.value);
+    const totalEpochs = parseInt(epochsSlider.value);
+    // Spread the run over a bounded number of frames so long runs still finish quickly
+    const epochsPerFrame = Math.max(1, Math.ceil(totalEpochs / MAX_ANIMATION_FRAMES));
+    let epoch = 0;
+
+    lossHistory = [trainingLoss()];
+    trainBtn.disabled = true;
+    stopBtn.disabled = false;
+
+    function frame() {
+        for (let k = 0; k < epochsPerFrame && epoch < totalEpochs; k++) {
+            trainEpoch(lr);
+            epoch++;
+            lossHistory.push(trainingLoss());
+        }
+
+        syncAll();
+        drawLossCurve();
+        trainStatus.textContent = `Epoch ${epoch} / ${totalEpochs} — BCE on σ ${lossHistory[lossHistory.length - 1].toFixed(4)}`;
+
+        if (epoch < totalEpochs) {
+            trainingFrame = requestAnimationFrame(frame);
+        } else {
+            stopTraining();
+        }
+    }
+
+    trainingFrame = requestAnimationFrame(frame);
+}
+
+function stopTraining() {
+    if (trainingFrame !== null) {
+        cancelAnimationFrame(trainingFrame);
+        trainingFrame = null;
+    }
+    trainBtn.disabled = false;
+    stopBtn.disabled = true;
+}
+
+function resetWeights() {
+    stopTraining();
+    pausePerceptron();
+    INPUTS.forEach(input => { input.weight = input.defaultWeight; });
+    setBias(DEFAULT_BIAS);
+    if (hiddenLayer.enabled) randomizeHidden();
+    lossHistory = [];
+    drawLossCurve();
+    trainStatus.textContent = "Weights reset to defaults.";
+    syncAll();
+}
+
+// ── Loss Curve ──
+function drawLossCurve() {
+    const w = lossCanvas.width;
+    const h = lossCanvas.height;
+    const pad = 24;
+
+    lossCtx.fillStyle = "#161b22";
+    lossCtx.fillRect(0, 0, w, h);
+
+    // Axes
+    lossCtx.strokeStyle = "#30363d";
+    lossCtx.lineWidth = 1;
+    lossCtx.beginPath();
+    lossCtx.moveTo(pad, 6);
+    lossCtx.lineTo(pad, h - pad);
+    lossCtx.lineTo(w - 6, h - pad);
+    lossCtx.stroke();
+
+    lossCtx.fillStyle = "#8b949e";
+    lossCtx.font = "10px monospace";
+    lossCtx.fillText("epoch →", w - 52, h - 8);
+    lossCtx.fillText("BCE on σ", w - 60, 14);
+
+    if (lossHistory.length < 2) return;
+
+    const maxLoss = Math.max(...lossHistory);
+    lossCtx.fillText(maxLoss.toFixed(2), 2, 14);
+    lossCtx.fillText("0", 12, h - pad);
+
+    const plotW = w - pad - 6;
+    const plotH = h - pad - 6;
+    lossCtx.strokeStyle = "#58a6ff";
+    lossCtx.lineWidth = 2;
+    lossCtx.beginPath();
+    lossHistory.forEach((loss, i) => {
+        const x = pad + (i / (lossHistory.length - 1)) * plotW;
+        const y = h - pad - (loss / maxLoss) * plotH;
+        if (i === 0) lossCtx.moveTo(x, y);
+        else lossCtx.lineTo(x, y);
+    });
+    lossCtx.stroke();
+}
+
+// ── Events ──
+lrSlider.addEventListener("input", () => {
+    lrVal.textContent = parseFloat(lrSlider.value).toFixed(3);
+});
+
+epochsSlider.addEventListener("input", () => {
+    epochsVal.textContent = epochsSlider.value;
+});
+
+trainBtn.addEventListener("click", startTraining);
+stopBtn.addEventListener("click", stopTraining);
+resetWeightsBtn.addEventListener("click", resetWeights);
+
+drawLossCurve();
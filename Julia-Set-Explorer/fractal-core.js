@@ -0,0 +1,468 @@
+// Julia Set Explorer - Escape-time kernels
+// Loaded by the page and by fractal-worker.js, so nothing here may touch the DOM.
+const FractalCore = (function () {
+    const logBase = 1 / Math.log(2);
+    const NEWTON_TOLERANCE = 1e-12; // squared step size that counts as converged
+
+    // Fractal coords of the top-left pixel and the size of one pixel
+    function viewBounds(view, width, height) {
+        const aspect = width / height;
+        return {
+            xMin: view.cx - view.scale / 2 * aspect,
+            yMin: view.cy - view.scale / 2,
+            dx: view.scale * aspect / width,
+            dy: view.scale / height
+        };
+    }
+
+    // Number of samples in a tile sampled every `step` pixels
+    function sampleCount(tile) {
+        return Math.ceil(tile.w / tile.step) * Math.ceil(tile.h / tile.step);
+    }
+
+    // Smooth escape count of the final z, or -1 for points that never escaped.
+    // `degree` is the power the formula raises z to (2 unless a Multibrot).
+    function smoothCount(i, x, y, maxIt, degree) {
+        if (i === maxIt) return -1;
+        const zn = Math.sqrt(x * x + y * y);
+        const base = degree > 2 ? 1 / Math.log(degree) : logBase;
+        return i + 1 - Math.log(Math.log(zn)) * base;
+    }
+
+    // --- Kernels ---
+    // Both fill `out` with one smooth count per sample, row by row, taking a
+    // sample every `tile.step` pixels from the tile's top-left corner.
+    function computeJulia(job, tile, out) {
+        const { xMin, yMin, dx, dy } = viewBounds(job.view, job.width, job.height);
+        const cr = job.cr, ci = job.ci, maxIt = job.maxIter;
+        const step = tile.step;
+        let k = 0;
+
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const y0 = yMin + py * dy;
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                let x = xMin + px * dx, y = y0;
+                let i = 0;
+                for (; i < maxIt; i++) {
+                    const x2 = x * x, y2 = y * y;
+                    if (x2 + y2 > 4) break;
+                    y = 2 * x * y + ci;
+                    x = x2 - y2 + cr;
+                }
+                out[k++] = smoothCount(i, x, y, maxIt);
+            }
+        }
+    }
+
+    function computeMandelbrot(job, tile, out) {
+        const { xMin, yMin, dx, dy } = viewBounds(job.view, job.width, job.height);
+        const maxIt = job.maxIter;
+        const step = tile.step;
+        let k = 0;
+
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const ci = yMin + py * dy;
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                const cr = xMin + px * dx;
+                let x = 0, y = 0;
+                let i = 0;
+                for (; i < maxIt; i++) {
+                    const x2 = x * x, y2 = y * y;
+                    if (x2 + y2 > 4) break;
+                    y = 2 * x * y + ci;
+                    x = x2 - y2 + cr;
+                }
+                out[k++] = smoothCount(i, x, y, maxIt);
+            }
+        }
+    }
+
+    // --- Coloring modes ---
+    // The kernels above produce the default picture: smooth escape counts
+    // outside, -1 inside. Other modes store a different number per pixel;
+    // interior values v are stored as -(1 + v) so the sign still tells
+    // inside from outside. Raw values are:
+    //   distance  log2(1 + distance to the set in pixels)
+    //   trap      closest approach of the orbit to the trap
+    //   stripe    average of ½·sin(density·arg z) + ½ over the orbit
+    //   modulus   |z| after the last iteration (interior)
+    //   period    length of the attracting cycle, 0 if none found (interior)
+    const PLAIN_COLORING = { exterior: 'smooth', interior: 'black' };
+    const ROOT_COLORING = { exterior: 'roots', interior: 'black' }; // Newton: steps + root angle in turns
+    const COLORING_BAILOUT = 1e6; // |z|² escape for distance and stripes, which want a large radius
+    const MAX_PERIOD = 256;
+    const PERIOD_TOLERANCE = 1e-18; // squared distance at which the orbit counts as closed
+
+    function isPlainColoring(coloring) {
+        return !coloring || (coloring.exterior === 'smooth' && coloring.interior === 'black');
+    }
+
+    // Smallest p ≤ maxPeriod with f^p(z) back at z under z² + c, or 0
+    function attractingPeriod(x, y, cr, ci, maxPeriod) {
+        let zx = x, zy = y;
+        for (let p = 1; p <= maxPeriod; p++) {
+            const t = zx * zx - zy * zy + cr;
+            zy = 2 * zx * zy + ci;
+            zx = t;
+            const ex = zx - x, ey = zy - y;
+            if (ex * ex + ey * ey < PERIOD_TOLERANCE) return p;
+        }
+        return 0;
+    }
+
+    // Every iterate of z₀ = (x, y) under z² + c up to the escape (included)
+    // or maxIt. A bounded orbit also reports the attracting cycle it settles
+    // on and that cycle's multiplier |λ| = |∏ 2zₖ|, which is below 1 for c
+    // inside a hyperbolic component.
+    function traceOrbit(x, y, cr, ci, maxIt) {
+        const points = [x, y];
+        let i = 0;
+        for (; i < maxIt && x * x + y * y <= 4; i++) {
+            const t = x * x - y * y + cr;
+            y = 2 * x * y + ci;
+            x = t;
+            points.push(x, y);
+        }
+        const orbit = { points: Float64Array.from(points), escaped: i < maxIt, iterations: i, period: 0, multiplier: 0 };
+        if (!orbit.escaped) {
+            orbit.period = attractingPeriod(x, y, cr, ci, MAX_PERIOD);
+            let lx = 1, ly = 0;
+            for (let k = 0; k < orbit.period; k++) {
+                const t = 2 * (lx * x - ly * y);
+                ly = 2 * (lx * y + ly * x);
+                lx = t;
+                const nx = x * x - y * y + cr;
+                y = 2 * x * y + ci;
+                x = nx;
+            }
+            if (orbit.period) orbit.multiplier = Math.hypot(lx, ly);
+        }
+        return orbit;
+    }
+
+    function trapDistance(trap, x, y) {
+        const ox = x - trap.x, oy = y - trap.y;
+        const sin = Math.sin(trap.angle), cos = Math.cos(trap.angle);
+        switch (trap.shape) {
+            case 'line': return Math.abs(oy * cos - ox * sin);
+            case 'cross': return Math.min(Math.abs(oy * cos - ox * sin), Math.abs(ox * cos + oy * sin));
+            case 'circle': return Math.abs(Math.hypot(ox, oy) - trap.radius);
+            default: return Math.hypot(ox, oy);
+        }
+    }
+
+    // z² + c on either plane, tracking what the selected modes need
+    function computeColored(job, tile, out) {
+        const { xMin, yMin, dx, dy } = viewBounds(job.view, job.width, job.height);
+        const { exterior, interior, trap, stripeDensity } = job.coloring;
+        const mandelbrot = job.kind === 'mandelbrot';
+        const maxIt = job.maxIter;
+        const bailout = exterior === 'distance' || exterior === 'stripe' ? COLORING_BAILOUT : 4;
+        const step = tile.step;
+        let k = 0;
+
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const py0 = yMin + py * dy;
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                const px0 = xMin + px * dx;
+                const cr = mandelbrot ? px0 : job.cr, ci = mandelbrot ? py0 : job.ci;
+                let x = mandelbrot ? 0 : px0, y = mandelbrot ? 0 : py0;
+                // dz/dz₀ on the dynamic plane, dz/dc on the parameter plane
+                let ddx = mandelbrot ? 0 : 1, ddy = 0;
+                let trapMin = Infinity;
+                let stripeSum = 0, stripeLast = 0;
+                let i = 0;
+                for (; i < maxIt; i++) {
+                    const x2 = x * x, y2 = y * y;
+                    if (x2 + y2 > bailout) break;
+                    if (exterior === 'distance') {
+                        const t = 2 * (x * ddx - y * ddy) + (mandelbrot ? 1 : 0);
+                        ddy = 2 * (x * ddy + y * ddx);
+                        ddx = t;
+                    }
+                    y = 2 * x * y + ci;
+                    x = x2 - y2 + cr;
+                    if (exterior === 'trap') trapMin = Math.min(trapMin, trapDistance(trap, x, y));
+                    else if (exterior === 'stripe') {
+                        stripeLast = 0.5 * Math.sin(stripeDensity * Math.atan2(y, x)) + 0.5;
+                        stripeSum += stripeLast;
+                    }
+                }
+
+                if (i === maxIt) {
+                    if (interior === 'modulus') out[k++] = -1 - Math.hypot(x, y);
+                    else if (interior === 'period') out[k++] = -1 - attractingPeriod(x, y, cr, ci, MAX_PERIOD);
+                    else out[k++] = -1;
+                    continue;
+                }
+                const r = Math.sqrt(x * x + y * y);
+                if (exterior === 'distance') {
+                    const dist = r * Math.log(r) / Math.hypot(ddx, ddy);
+                    out[k++] = Math.log2(1 + dist / dy);
+                } else if (exterior === 'trap') {
+                    out[k++] = trapMin === Infinity ? 0 : trapMin;
+                } else if (exterior === 'stripe') {
+                    // Blend the last two averages by how far past the bailout
+                    // z landed, so the stripes do not step at each iteration
+                    const avg = i > 0 ? stripeSum / i : 0;
+                    const prev = i > 1 ? (stripeSum - stripeLast) / (i - 1) : avg;
+                    const f = Math.min(1, Math.max(0, 1 + Math.log2(Math.log(Math.sqrt(bailout)) / Math.log(r))));
+                    out[k++] = prev + (avg - prev) * f;
+                } else {
+                    out[k++] = smoothCount(i, x, y, maxIt);
+                }
+            }
+        }
+    }
+
+    // --- Deep zoom ---
+    // Below DEEP_PIXEL, neighbouring pixels are no longer distinct doubles.
+    // One reference orbit through the view centre is iterated in fixed point
+    // (BigInts with `bits` fraction bits) and each pixel only tracks its small
+    // offset from it in doubles: δ ← (2Z + δ)·δ + δc. Whenever z = Z + δ comes
+    // closer to 0 than δ itself, or the reference runs out, the pixel rebases
+    // onto the orbit of the critical point 0 (Zhuoran's method), which keeps
+    // perturbation glitches out without a second pass.
+    const DEEP_PIXEL = 1e-12;
+
+    function fixedFromNumber(x, bits) {
+        return BigInt(Math.round(x * 2 ** bits));
+    }
+
+    function fixedToNumber(v, bits) {
+        return Number(v) / 2 ** bits;
+    }
+
+    // Orbit of z under z² + c as doubles, up to maxIt steps or the first
+    // point past the escape radius, whichever comes first
+    function fixedOrbit(zx, zy, cx, cy, bits, maxIt) {
+        const b = BigInt(bits);
+        const escape = 4n << b;
+        const orbit = new Float64Array(2 * (maxIt + 1));
+        let x = zx, y = zy;
+        let n = 0;
+        for (;;) {
+            orbit[2 * n] = fixedToNumber(x, bits);
+            orbit[2 * n + 1] = fixedToNumber(y, bits);
+            n++;
+            if (n > maxIt) break;
+            const x2 = (x * x) >> b, y2 = (y * y) >> b;
+            if (x2 + y2 > escape) break;
+            y = ((x * y) >> (b - 1n)) + cy;
+            x = x2 - y2 + cx;
+        }
+        return orbit.subarray(0, 2 * n);
+    }
+
+    // Workers see every tile of a job, so the orbits are computed once per
+    // job. A few recent jobs are kept so a poster export and the on-screen
+    // layers can interleave tiles without evicting each other's orbits.
+    const ORBIT_CACHE_SIZE = 4;
+    const orbitCache = new Map(); // job.key → orbits, oldest first
+
+    function referenceOrbits(job) {
+        const cached = orbitCache.get(job.key);
+        if (cached) return cached;
+        const hx = BigInt(job.hx), hy = BigInt(job.hy);
+        let orbits;
+        if (job.kind === 'mandelbrot') {
+            const orbit = fixedOrbit(0n, 0n, hx, hy, job.bits, job.maxIter);
+            orbits = { primary: orbit, critical: orbit };
+        } else {
+            const cr = fixedFromNumber(job.cr, job.bits);
+            const ci = fixedFromNumber(job.ci, job.bits);
+            orbits = {
+                primary: fixedOrbit(hx, hy, cr, ci, job.bits, job.maxIter),
+                critical: fixedOrbit(0n, 0n, cr, ci, job.bits, job.maxIter)
+            };
+        }
+        orbitCache.set(job.key, orbits);
+        if (orbitCache.size > ORBIT_CACHE_SIZE) orbitCache.delete(orbitCache.keys().next().value);
+        return orbits;
+    }
+
+    function computeDeep(job, tile, out) {
+        const { primary, critical } = referenceOrbits(job);
+        const mandelbrot = job.kind === 'mandelbrot';
+        const aspect = job.width / job.height;
+        const dx = job.view.scale * aspect / job.width;
+        const dy = job.view.scale / job.height;
+        // Offset of the top-left pixel from the centre
+        const x0 = -job.view.scale / 2 * aspect;
+        const y0 = -job.view.scale / 2;
+        const maxIt = job.maxIter;
+        const step = tile.step;
+        let k = 0;
+
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const oy = y0 + py * dy;
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                const ox = x0 + px * dx;
+                // Mandelbrot pixels differ from the reference in c, Julia pixels in z₀
+                const dcx = mandelbrot ? ox : 0, dcy = mandelbrot ? oy : 0;
+                let ex = mandelbrot ? 0 : ox, ey = mandelbrot ? 0 : oy;
+                let ref = primary;
+                let last = primary.length / 2 - 1;
+                let m = 0;
+                let x = 0, y = 0;
+                let i = 0;
+                for (; i < maxIt; i++) {
+                    x = ref[2 * m] + ex;
+                    y = ref[2 * m + 1] + ey;
+                    const r2 = x * x + y * y;
+                    if (r2 > 4) break;
+                    if (r2 < ex * ex + ey * ey || m === last) {
+                        // The critical orbit starts at 0, so δ becomes z itself
+                        ref = critical;
+                        last = critical.length / 2 - 1;
+                        m = 0;
+                        ex = x;
+                        ey = y;
+                    }
+                    const tx = 2 * ref[2 * m] + ex, ty = 2 * ref[2 * m + 1] + ey;
+                    const nx = tx * ex - ty * ey + dcx;
+                    ey = tx * ey + ty * ex + dcy;
+                    ex = nx;
+                    m++;
+                }
+                out[k++] = smoothCount(i, x, y, maxIt);
+            }
+        }
+    }
+
+    // --- Other families ---
+    // One orbit each, from z₀ = (x, y) with parameter c = (cr, ci); `param`
+    // is the power d for Multibrot and Newton, and p for Phoenix. Results
+    // share the smooth-count scale of the z² + c kernels above.
+    const families = {
+        // zᵈ + c
+        multibrot(x, y, cr, ci, maxIt, d) {
+            let i = 0;
+            for (; i < maxIt; i++) {
+                if (x * x + y * y > 4) break;
+                let zx = x, zy = y;
+                for (let k = 1; k < d; k++) {
+                    const t = zx * x - zy * y;
+                    zy = zx * y + zy * x;
+                    zx = t;
+                }
+                x = zx + cr;
+                y = zy + ci;
+            }
+            return smoothCount(i, x, y, maxIt, d);
+        },
+
+        // (|Re z| + i|Im z|)² + c
+        burningShip(x, y, cr, ci, maxIt) {
+            let i = 0;
+            for (; i < maxIt; i++) {
+                const x2 = x * x, y2 = y * y;
+                if (x2 + y2 > 4) break;
+                y = 2 * Math.abs(x * y) + ci;
+                x = x2 - y2 + cr;
+            }
+            return smoothCount(i, x, y, maxIt, 2);
+        },
+
+        // conj(z)² + c
+        tricorn(x, y, cr, ci, maxIt) {
+            let i = 0;
+            for (; i < maxIt; i++) {
+                const x2 = x * x, y2 = y * y;
+                if (x2 + y2 > 4) break;
+                y = -2 * x * y + ci;
+                x = x2 - y2 + cr;
+            }
+            return smoothCount(i, x, y, maxIt, 2);
+        },
+
+        // zₙ₊₁ = zₙ² + c + p·zₙ₋₁, with z₋₁ = 0
+        phoenix(x, y, cr, ci, maxIt, p) {
+            let px = 0, py = 0;
+            let i = 0;
+            for (; i < maxIt; i++) {
+                const x2 = x * x, y2 = y * y;
+                if (x2 + y2 > 4) break;
+                const nx = x2 - y2 + cr + p * px;
+                const ny = 2 * x * y + ci + p * py;
+                px = x;
+                py = y;
+                x = nx;
+                y = ny;
+            }
+            return smoothCount(i, x, y, maxIt, 2);
+        },
+
+        // Newton's method on f(z) = zᵈ + (c − 1)z − c, which is zᵈ − 1 at
+        // c = 1 and always has the root 1. A converged point stores the
+        // steps it took plus the angle of the root it reached in turns
+        // (ROOT_COLORING), so the page can spread the roots over its band
+        // length; points that never settle count as interior.
+        newton(x, y, cr, ci, maxIt, d) {
+            for (let i = 0; i < maxIt; i++) {
+                // z^(d−1), then zᵈ
+                let px = 1, py = 0;
+                for (let k = 1; k < d; k++) {
+                    const t = px * x - py * y;
+                    py = px * y + py * x;
+                    px = t;
+                }
+                const zx = px * x - py * y, zy = px * y + py * x;
+                const fx = zx + (cr - 1) * x - ci * y - cr;
+                const fy = zy + (cr - 1) * y + ci * x - ci;
+                const gx = d * px + cr - 1;
+                const gy = d * py + ci;
+                const denom = gx * gx + gy * gy;
+                if (denom === 0) return -1;
+                const sx = (fx * gx + fy * gy) / denom;
+                const sy = (fy * gx - fx * gy) / denom;
+                x -= sx;
+                y -= sy;
+                if (sx * sx + sy * sy < NEWTON_TOLERANCE) {
+                    const turn = (Math.atan2(y, x) / (2 * Math.PI) + 1) % 1;
+                    return i + Math.min(turn, 0.9999); // keep the angle out of the step count
+                }
+            }
+            return -1;
+        }
+    };
+
+    // The dynamic plane starts each orbit at the pixel; the parameter plane
+    // puts the pixel in c and starts from the critical point 0
+    function computeFamily(job, tile, out) {
+        const { xMin, yMin, dx, dy } = viewBounds(job.view, job.width, job.height);
+        const orbit = families[job.formula];
+        const param = job.formula === 'phoenix' ? job.phoenixP : job.power;
+        const julia = job.kind === 'julia';
+        const maxIt = job.maxIter;
+        const step = tile.step;
+        let k = 0;
+
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const y = yMin + py * dy;
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                const x = xMin + px * dx;
+                out[k++] = julia
+                    ? orbit(x, y, job.cr, job.ci, maxIt, param)
+                    : orbit(0, 0, x, y, maxIt, param);
+            }
+        }
+    }
+
+    const kernels = { julia: computeJulia, mandelbrot: computeMandelbrot };
+
+    function computeTile(job, tile) {
+        const out = new Float32Array(sampleCount(tile));
+        if (job.formula !== 'quadratic') computeFamily(job, tile, out);
+        else if (job.deep) computeDeep(job, tile, out);
+        else if (!isPlainColoring(job.coloring)) computeColored(job, tile, out);
+        else kernels[job.kind](job, tile, out);
+        return out;
+    }
+
+    return {
+        DEEP_PIXEL, PLAIN_COLORING, ROOT_COLORING, MAX_PERIOD, viewBounds, sampleCount, fixedFromNumber, fixedToNumber,
+        isPlainColoring, attractingPeriod, traceOrbit, families, computeJulia, computeMandelbrot, computeColored,
+        computeDeep, computeFamily, computeTile
+    };
+})();
@@ -0,0 +1,9 @@
+// Julia Set Explorer - Tile worker
+// Computes one tile per message and hands the values back as a transferable.
+importScripts('fractal-core.js');
+
+self.onmessage = (e) => {
+    const { id, job, tile } = e.data;
+    const values = FractalCore.computeTile(job, tile);
+    self.postMessage({ id, values }, [values.buffer]);
+};
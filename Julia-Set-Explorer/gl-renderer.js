@@ -0,0 +1,162 @@
+// Julia Set Explorer - WebGL renderer
+// Runs the same iteration as fractal-core.js in a fragment shader and colors
+// through a palette lookup texture. The shader works in single precision, so
+// the page hands views with very small pixels back to the CPU path.
+const GLRenderer = (function () {
+    const MAX_ITER = 5000; // loop bound compiled into the shader
+    const MIN_PIXEL = 1e-6; // smallest pixel size single precision still resolves
+    const PALETTE_SIZE = 1024;
+
+    const vertexSource = `
+attribute vec2 aPos;
+void main() {
+    gl_Position = vec4(aPos, 0.0, 1.0);
+}`;
+
+    // Pixel (px, py) counts from the top-left corner like the CPU kernels
+    const fragmentSource = `
+precision highp float;
+uniform vec2 uSize;
+uniform vec2 uMin;
+uniform vec2 uStep;
+uniform vec2 uC;
+uniform int uMandelbrot;
+uniform int uMaxIter;
+uniform float uBand;
+uniform float uOffset;
+uniform sampler2D uPalette;
+
+void main() {
+    vec2 pixel = vec2(gl_FragCoord.x - 0.5, uSize.y - gl_FragCoord.y - 0.5);
+    vec2 point = uMin + pixel * uStep;
+    vec2 z = uMandelbrot == 1 ? vec2(0.0) : point;
+    vec2 c = uMandelbrot == 1 ? point : uC;
+    int n = uMaxIter;
+    for (int i = 0; i < ${MAX_ITER}; i++) {
+        if (i >= uMaxIter) break;
+        float x2 = z.x * z.x;
+        float y2 = z.y * z.y;
+        if (x2 + y2 > 4.0) {
+            n = i;
+            break;
+        }
+        z = vec2(x2 - y2 + c.x, 2.0 * z.x * z.y + c.y);
+    }
+    if (n == uMaxIter) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    float mu = float(n) + 1.0 - log(log(length(z))) / log(2.0);
+    float t = mod(mu + uOffset * uBand, uBand) / uBand;
+    gl_FragColor = vec4(texture2D(uPalette, vec2(t, 0.5)).rgb, 1.0);
+}`;
+
+    function compile(gl, type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        return gl.getShaderParameter(shader, gl.COMPILE_STATUS) ? shader : null;
+    }
+
+    // Returns null when WebGL, high precision floats or the shader are unavailable
+    function create() {
+        const canvas = document.createElement('canvas');
+        let gl = null;
+        try {
+            gl = canvas.getContext('webgl');
+        } catch (err) {
+            return null;
+        }
+        if (!gl) return null;
+        const highp = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+        if (!highp || highp.precision === 0) return null;
+
+        const vs = compile(gl, gl.VERTEX_SHADER, vertexSource);
+        const fs = compile(gl, gl.FRAGMENT_SHADER, fragmentSource);
+        if (!vs || !fs) return null;
+        const program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) return null;
+        gl.useProgram(program);
+
+        // One triangle covering the viewport
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+        const aPos = gl.getAttribLocation(program, 'aPos');
+        gl.enableVertexAttribArray(aPos);
+        gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 0, 0);
+
+        const uniforms = {};
+        ['uSize', 'uMin', 'uStep', 'uC', 'uMandelbrot', 'uMaxIter', 'uBand', 'uOffset', 'uPalette'].forEach(name => {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+
+        gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.uniform1i(uniforms.uPalette, 0);
+        gl.uniform1f(uniforms.uBand, 50);
+        gl.uniform1f(uniforms.uOffset, 0);
+
+        let lost = false;
+        canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            lost = true;
+        });
+
+        return {
+            get lost() { return lost; },
+
+            // Whether the shader can draw this job faithfully (it only knows
+            // z² + c with smooth coloring and black interiors)
+            supports(job) {
+                return !lost && job.formula === 'quadratic' && FractalCore.isPlainColoring(job.coloring) &&
+                    job.maxIter <= MAX_ITER && job.view.scale / job.height >= MIN_PIXEL;
+            },
+
+            // Samples a palette function into the lookup texture
+            setPalette(pal) {
+                const lut = new Uint8Array(PALETTE_SIZE * 4);
+                for (let k = 0; k < PALETTE_SIZE; k++) {
+                    const [r, g, b] = pal(k / PALETTE_SIZE);
+                    lut[k * 4] = r;
+                    lut[k * 4 + 1] = g;
+                    lut[k * 4 + 2] = b;
+                    lut[k * 4 + 3] = 255;
+                }
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, PALETTE_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, lut);
+            },
+
+            // Band length in smooth iterations and the palette offset as a
+            // fraction of a band, matching the CPU coloring
+            setBanding(length, offset) {
+                gl.uniform1f(uniforms.uBand, length);
+                gl.uniform1f(uniforms.uOffset, offset);
+            },
+
+            // Renders a job (same shape as the worker jobs) onto a 2D context
+            draw(job, ctx) {
+                if (canvas.width !== job.width || canvas.height !== job.height) {
+                    canvas.width = job.width;
+                    canvas.height = job.height;
+                }
+                const { xMin, yMin, dx, dy } = FractalCore.viewBounds(job.view, job.width, job.height);
+                gl.viewport(0, 0, job.width, job.height);
+                gl.uniform2f(uniforms.uSize, job.width, job.height);
+                gl.uniform2f(uniforms.uMin, xMin, yMin);
+                gl.uniform2f(uniforms.uStep, dx, dy);
+                gl.uniform2f(uniforms.uC, job.cr, job.ci);
+                gl.uniform1i(uniforms.uMandelbrot, job.kind === 'mandelbrot' ? 1 : 0);
+                gl.uniform1i(uniforms.uMaxIter, job.maxIter);
+                gl.drawArrays(gl.TRIANGLES, 0, 3);
+                ctx.drawImage(canvas, 0, 0);
+            }
+        };
+    }
+
+    return { create, MAX_ITER, MIN_PIXEL };
+})();
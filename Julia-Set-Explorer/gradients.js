@@ -0,0 +1,159 @@
+// Julia Set Explorer - Gradient palettes
+// A gradient is a list of { pos, color } stops with pos in 0–1 and color as
+// [r, g, b]. It wraps around: past the last stop it blends back into the
+// first, so bands and palette cycling have no seam.
+const Gradients = (function () {
+    const MAP_ENTRIES = 256; // Fractint .map files hold 256 colors
+    const UGR_INDICES = 400; // Ultra Fractal gradients index 0–399
+    const SIMPLIFY_TOLERANCE = 6; // max channel error when dropping stops
+
+    function sortStops(stops) {
+        return [...stops].sort((a, b) => a.pos - b.pos);
+    }
+
+    function toHex(color) {
+        return '#' + color.map(v => v.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        const m = /^#?([0-9a-f]{6})$/i.exec(hex.trim());
+        if (!m) throw new Error(`"${hex}" is not a #rrggbb color`);
+        const n = parseInt(m[1], 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    // Color at t in [0, 1) for stops sorted by pos
+    function evaluate(stops, t) {
+        if (stops.length === 1) return stops[0].color.slice();
+        let k = 0;
+        while (k < stops.length && stops[k].pos <= t) k++;
+        const a = k === 0 ? stops[stops.length - 1] : stops[k - 1];
+        const b = k === stops.length ? stops[0] : stops[k];
+        const pa = k === 0 ? a.pos - 1 : a.pos;
+        const pb = k === stops.length ? b.pos + 1 : b.pos;
+        const f = pb > pa ? (t - pa) / (pb - pa) : 0;
+        return [0, 1, 2].map(c => Math.round(a.color[c] + (b.color[c] - a.color[c]) * f));
+    }
+
+    // Evenly spaced colors to as few stops as keep every sample within
+    // SIMPLIFY_TOLERANCE of the blend between its neighbouring stops
+    function simplify(samples) {
+        const n = samples.length;
+        const keep = [0];
+        let anchor = 0;
+        for (let end = 2; end <= n; end++) {
+            const target = end === n ? samples[0] : samples[end];
+            let fits = true;
+            for (let i = anchor + 1; i < end && fits; i++) {
+                const f = (i - anchor) / (end - anchor);
+                for (let c = 0; c < 3; c++) {
+                    const blend = samples[anchor][c] + (target[c] - samples[anchor][c]) * f;
+                    if (Math.abs(blend - samples[i][c]) > SIMPLIFY_TOLERANCE) fits = false;
+                }
+            }
+            if (!fits) {
+                anchor = end - 1;
+                keep.push(anchor);
+            }
+        }
+        return keep.map(i => ({ pos: i / n, color: samples[i].slice() }));
+    }
+
+    // Stops approximating a palette function
+    function fromFunction(pal) {
+        const samples = [];
+        for (let i = 0; i < MAP_ENTRIES; i++) samples.push(pal(i / MAP_ENTRIES).map(v => Math.max(0, Math.min(255, Math.round(v)))));
+        return simplify(samples);
+    }
+
+    // --- JSON ---
+    function toJSON(gradient) {
+        return JSON.stringify({
+            name: gradient.name,
+            bandLength: gradient.bandLength,
+            offset: gradient.offset,
+            stops: gradient.stops.map(s => ({ pos: Number(s.pos.toFixed(4)), color: toHex(s.color) }))
+        }, null, 2);
+    }
+
+    function fromJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.stops) || data.stops.length < 2) {
+            throw new Error('A gradient needs a "stops" list with at least two entries');
+        }
+        const stops = data.stops.map(s => {
+            const pos = Number(s.pos);
+            if (!(pos >= 0 && pos <= 1)) throw new Error('Stop positions must lie between 0 and 1');
+            return { pos, color: fromHex(String(s.color)) };
+        });
+        return {
+            name: typeof data.name === 'string' ? data.name : null,
+            bandLength: Number.isFinite(data.bandLength) ? data.bandLength : null,
+            offset: Number.isFinite(data.offset) ? data.offset : null,
+            stops: sortStops(stops)
+        };
+    }
+
+    // --- Fractint .map ---
+    // One "r g b" line per entry; anything after the third number is a comment
+    function toMap(gradient) {
+        const lines = [];
+        for (let i = 0; i < MAP_ENTRIES; i++) lines.push(evaluate(gradient.stops, i / MAP_ENTRIES).join(' '));
+        return lines.join('\n') + '\n';
+    }
+
+    function fromMap(text) {
+        const samples = [];
+        text.split(/\r?\n/).forEach(line => {
+            const m = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+            if (m) samples.push([m[1], m[2], m[3]].map(v => Math.min(255, parseInt(v))));
+        });
+        if (samples.length < 2) throw new Error('No "r g b" lines found in the .map file');
+        return { name: null, bandLength: null, offset: null, stops: simplify(samples) };
+    }
+
+    // --- Ultra Fractal .ugr ---
+    // Colors are stored as decimal BGR integers; only the first gradient of
+    // a collection is read, and its opacity section is ignored.
+    function toUGR(gradient) {
+        const name = (gradient.name || 'julia-gradient').replace(/[^\w-]/g, '_');
+        const lines = [`${name} {`, 'gradient:', `  title="${name}" smooth=no`];
+        gradient.stops.forEach(s => {
+            const [r, g, b] = s.color;
+            lines.push(`  index=${Math.round(s.pos * UGR_INDICES) % UGR_INDICES} color=${r + g * 256 + b * 65536}`);
+        });
+        lines.push('opacity:', '  smooth=no index=0 opacity=255', '}');
+        return lines.join('\n') + '\n';
+    }
+
+    function fromUGR(text) {
+        const start = text.indexOf('gradient:');
+        if (start === -1) throw new Error('No "gradient:" section found in the .ugr file');
+        let body = text.slice(start);
+        const end = body.search(/opacity:|\}/);
+        if (end !== -1) body = body.slice(0, end);
+
+        const stops = [];
+        const re = /index=(-?\d+)\s+color=(\d+)/g;
+        let m;
+        while ((m = re.exec(body)) !== null) {
+            const index = ((parseInt(m[1]) % UGR_INDICES) + UGR_INDICES) % UGR_INDICES;
+            const c = parseInt(m[2]);
+            stops.push({ pos: index / UGR_INDICES, color: [c & 255, (c >> 8) & 255, (c >> 16) & 255] });
+        }
+        if (stops.length < 2) throw new Error('The .ugr gradient has fewer than two colors');
+        const title = /title="([^"]*)"/.exec(body);
+        return { name: title ? title[1] : null, bandLength: null, offset: null, stops: sortStops(stops) };
+    }
+
+    // Picks the reader from the file name, falling back to sniffing the text
+    function parse(filename, text) {
+        const ext = filename.toLowerCase().split('.').pop();
+        if (ext === 'map') return fromMap(text);
+        if (ext === 'ugr') return fromUGR(text);
+        if (ext === 'json' || text.trim().startsWith('{"') || text.trim().startsWith('{\n')) return fromJSON(text);
+        return text.includes('gradient:') ? fromUGR(text) : fromMap(text);
+    }
+
+    return { sortStops, toHex, fromHex, evaluate, fromFunction, toJSON, toMap, toUGR, parse };
+})();
@@ -5,6 +5,8 @@
     const mandelbrotCanvas = document.getElementById('mandelbrot-canvas');
     const jCtx = juliaCanvas.getContext('2d');
     const mCtx = mandelbrotCanvas.getContext('2d');
+    const orbitCanvas = document.getElementById('orbit-canvas');
+    const oCtx = orbitCanvas.getContext('2d');
 
     const cRealSlider = document.getElementById('c-real');
     const cImagSlider = document.getElementById('c-imag');
@@ -16,11 +18,83 @@
     const statusC = document.getElementById('status-c');
     const statusZoom = document.getElementById('status-zoom');
     const statusIter = document.getElementById('status-iter');
+    const statusRender = document.getElementById('status-render');
     const presetSelect = document.getElementById('preset-select');
     const colorSelect = document.getElementById('color-select');
     const splitBtn = document.getElementById('split-btn');
     const saveBtn = document.getElementById('save-btn');
     const resetBtn = document.getElementById('reset-btn');
+    const backBtn = document.getElementById('back-btn');
+    const forwardBtn = document.getElementById('forward-btn');
+    const rendererSelect = document.getElementById('renderer-select');
+    const autoIterCheck = document.getElementById('auto-iter');
+    const formulaSelect = document.getElementById('formula-select');
+    const formulaInfo = document.getElementById('formula-info');
+    const powerLabel = document.getElementById('power-label');
+    const powerSlider = document.getElementById('power');
+    const powerVal = document.getElementById('power-val');
+    const phoenixLabel = document.getElementById('phoenix-label');
+    const phoenixSlider = document.getElementById('phoenix-p');
+    const phoenixVal = document.getElementById('phoenix-p-val');
+    const tourPathSelect = document.getElementById('tour-path');
+    const tourPickBtn = document.getElementById('tour-pick');
+    const tourClearBtn = document.getElementById('tour-clear');
+    const tourDurationSlider = document.getElementById('tour-duration');
+    const tourDurationVal = document.getElementById('tour-duration-val');
+    const tourLoopCheck = document.getElementById('tour-loop');
+    const tourPlayBtn = document.getElementById('tour-play');
+    const tourExportBtn = document.getElementById('tour-export');
+    const tourStatus = document.getElementById('tour-status');
+    const exteriorSelect = document.getElementById('exterior-mode');
+    const interiorSelect = document.getElementById('interior-mode');
+    const trapControls = document.getElementById('trap-controls');
+    const trapShapeSelect = document.getElementById('trap-shape');
+    const trapXSlider = document.getElementById('trap-x');
+    const trapXVal = document.getElementById('trap-x-val');
+    const trapYSlider = document.getElementById('trap-y');
+    const trapYVal = document.getElementById('trap-y-val');
+    const trapRadiusLabel = document.getElementById('trap-radius-label');
+    const trapRadiusSlider = document.getElementById('trap-radius');
+    const trapRadiusVal = document.getElementById('trap-radius-val');
+    const trapAngleLabel = document.getElementById('trap-angle-label');
+    const trapAngleSlider = document.getElementById('trap-angle');
+    const trapAngleVal = document.getElementById('trap-angle-val');
+    const stripeLabel = document.getElementById('stripe-label');
+    const stripeSlider = document.getElementById('stripe-density');
+    const stripeVal = document.getElementById('stripe-density-val');
+    const coloringInfo = document.getElementById('coloring-info');
+    const gradientBar = document.getElementById('gradient-bar');
+    const stopColorInput = document.getElementById('stop-color');
+    const stopDeleteBtn = document.getElementById('stop-delete');
+    const bandSlider = document.getElementById('band-length');
+    const bandVal = document.getElementById('band-val');
+    const offsetSlider = document.getElementById('color-offset');
+    const offsetVal = document.getElementById('offset-val');
+    const cycleSpeedSlider = document.getElementById('cycle-speed');
+    const cycleSpeedVal = document.getElementById('cycle-speed-val');
+    const cycleBtn = document.getElementById('cycle-btn');
+    const paletteFormatSelect = document.getElementById('palette-format');
+    const paletteImportBtn = document.getElementById('palette-import');
+    const paletteExportBtn = document.getElementById('palette-export');
+    const paletteFile = document.getElementById('palette-file');
+    const paletteStatus = document.getElementById('palette-status');
+    const exportModal = document.getElementById('export-modal');
+    const exportViewSelect = document.getElementById('export-view');
+    const exportWidthInput = document.getElementById('export-width');
+    const exportHeightInput = document.getElementById('export-height');
+    const exportAspectCheck = document.getElementById('export-aspect');
+    const exportAASelect = document.getElementById('export-aa');
+    const exportProgress = document.getElementById('export-progress');
+    const exportStatus = document.getElementById('export-status');
+    const exportStartBtn = document.getElementById('export-start');
+    const exportCancelBtn = document.getElementById('export-cancel');
+    const exportCloseBtn = document.getElementById('export-close');
+    const bookmarkAddBtn = document.getElementById('bookmark-add');
+    const copyLinkBtn = document.getElementById('copy-link');
+    const bookmarkList = document.getElementById('bookmark-list');
+    const bookmarkStatus = document.getElementById('bookmark-status');
+    const orbitInspectBtn = document.getElementById('orbit-inspect');
+    const orbitInfo = document.getElementById('orbit-info');
 
     // --- State ---
     let cReal = -0.7269;
@@ -28,21 +102,95 @@
     let maxIter = 200;
     let colorScheme = 'classic';
     let splitView = false;
+    let useGPU = true;
+    let autoIter = true;
+    let formula = 'quadratic';
+    let power = 3; // d for Multibrot and Newton
+    let phoenixP = -0.5;
+
+    // Formula families: the Julia parameter each opens with (null keeps the
+    // current one) and the home of its parameter plane in the split view
+    const FORMULAS = {
+        quadratic: { label: () => 'z² + c', c: null, home: { cx: -0.5, cy: 0, scale: 3.5 } },
+        multibrot: { label: () => `z${superscript(power)} + c`, c: { re: -0.4, im: 0.6 }, home: { cx: 0, cy: 0, scale: 3.5 } },
+        burningShip: { label: () => '(|Re z| + i|Im z|)² + c', c: { re: -0.4, im: -0.6 }, home: { cx: -0.4, cy: -0.5, scale: 3.5 } },
+        tricorn: { label: () => 'z̄² + c', c: { re: -0.9, im: 0.1 }, home: { cx: -0.3, cy: 0, scale: 4 } },
+        phoenix: { label: () => `z² + c ${phoenixP < 0 ? '−' : '+'} ${Math.abs(phoenixP).toFixed(2)}·zₙ₋₁`, c: { re: 0.5667, im: 0 }, home: { cx: 0, cy: 0, scale: 3 } },
+        newton: { label: () => `Newton on z${superscript(power)} + (c − 1)z − c`, c: { re: 1, im: 0 }, home: { cx: 0, cy: 0, scale: 4 } }
+    };
+
+    // Deep zoom
+    const MIN_SCALE = 1e-250; // keeps fixed-point centres inside double range
+    const PRECISION_MARGIN = 64; // fraction bits kept beyond the view width
+    const MAX_AUTO_ITER = 50000;
 
     // Julia view
-    let jView = { cx: 0, cy: 0, scale: 3 }; // scale = total width in fractal coords
+    const JULIA_HOME = { cx: 0, cy: 0, scale: 3 }; // scale = total width in fractal coords
+    let jView = makeView(JULIA_HOME);
     // Mandelbrot view
-    let mView = { cx: -0.5, cy: 0, scale: 3.5 };
+    let mView = makeView(FORMULAS.quadratic.home);
 
     // Interaction state
     let dragging = false;
     let dragCanvas = null;
     let dragStart = { x: 0, y: 0 };
-    let dragViewStart = { cx: 0, cy: 0 };
+    let dragViewStart = null;
 
     let needsRender = true;
     let needsMandelbrot = true;
 
+    // c-path tour
+    const CARDIOID_MARGIN = 1.02; // the cardioid loop runs just outside the main cardioid
+    const VIDEO_FPS = 30;
+    let tourWaypoints = [];
+    let tourT = 0; // position along the path, 0–1
+    let tourPlaying = false;
+    let tourLastFrame = 0;
+    let pickingWaypoints = false;
+    let recording = false;
+
+    // Gradient coloring: t = ((smooth + offset · band) mod band) / band
+    const PALETTE_TABLE_SIZE = 4096;
+    let bandLength = 50;
+    let colorOffset = 0; // 0–1, fraction of a band
+    let customStops = null; // seeded from the current palette on first edit
+    let selectedStop = null;
+    let paletteTable = null; // PALETTE_TABLE_SIZE rgb triples of the current palette
+    let paletteVersion = 0; // bumped whenever the custom stops change
+    let cycling = false;
+    let cycleLastFrame = 0;
+
+    // Coloring modes (see FractalCore): which number each pixel stores, and
+    // how many palette units one unit of it spans
+    let exteriorMode = 'smooth';
+    let interiorMode = 'black';
+    const trap = { shape: 'point', x: 0, y: 0, radius: 0.5, angle: 0 }; // angle in degrees
+    let stripeDensity = 5;
+    const COLORING_SCALES = { smooth: 1, roots: 1, distance: 8, trap: 100, stripe: 50, modulus: 25, period: 7 };
+
+    // Poster export
+    const POSTER_CHUNK = 256; // output pixels per side of each off-screen chunk
+    const MAX_POSTER_SIDE = 16384; // largest canvas side browsers allow
+    let activePoster = null; // { cancelled } while an export is running
+    let posterCount = 0;
+
+    // Permalinks and view history
+    const SETTLE_MS = 300; // quiet time before a change reaches the URL and history
+    const MAX_HISTORY = 100;
+    const BOOKMARK_KEY = 'juliaExplorerBookmarks';
+    const THUMB_WIDTH = 112;
+    let settleTimer = null;
+    let writtenHash = null; // last hash we wrote, so its hashchange is ignored
+    let viewHistory = []; // { j, m } view snapshots
+    let historyIndex = -1;
+
+    // Orbit inspection
+    const ORBIT_PATH_POINTS = 1000; // iterates drawn; longer orbits are repeating their cycle by then
+    const CLICK_SLOP = 4; // pixels a click may move before it counts as the end of a pan
+    let inspecting = false;
+    let orbitTarget = null; // { kind, re, im } of the point being traced
+    let orbitPinned = false;
+
     // --- Color palettes ---
     const palettes = {
         classic: (t) => {
@@ -88,9 +236,23 @@
             else if (h < 300) { r = x; g = 0; b = c; }
             else { r = c; g = 0; b = x; }
             return [Math.floor((r + m) * 255), Math.floor((g + m) * 255), Math.floor((b + m) * 255)];
-        }
+        },
+        custom: (t) => Gradients.evaluate(customStops, t)
     };
 
+    // Coloring reads this table rather than calling the palette per pixel,
+    // which keeps recoloring cheap enough to cycle every frame
+    function buildPaletteTable() {
+        const pal = palettes[colorScheme];
+        paletteTable = new Uint8ClampedArray(PALETTE_TABLE_SIZE * 3);
+        for (let k = 0; k < PALETTE_TABLE_SIZE; k++) {
+            const [r, g, b] = pal(k / PALETTE_TABLE_SIZE);
+            paletteTable[k * 3] = r;
+            paletteTable[k * 3 + 1] = g;
+            paletteTable[k * 3 + 2] = b;
+        }
+    }
+
     // --- Presets ---
     const presets = {
         dendrite: { re: 0, im: 1 },
@@ -100,6 +262,110 @@
         lightning: { re: -0.4, im: 0.6 }
     };
 
+    // --- Formulas ---
+    const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+    function superscript(n) {
+        return String(n).split('').map(ch => SUPERSCRIPTS[ch]).join('');
+    }
+
+    function updateFormulaControls() {
+        powerLabel.classList.toggle('hidden', formula !== 'multibrot' && formula !== 'newton');
+        phoenixLabel.classList.toggle('hidden', formula !== 'phoenix');
+        formulaInfo.textContent = `f(z) = ${FORMULAS[formula].label()}`;
+    }
+
+    // Switching family recentres both views on its home and default c
+    function setFormula(name) {
+        formula = name;
+        formulaSelect.value = name;
+        updateFormulaControls();
+        jView = makeView(JULIA_HOME);
+        mView = makeView(FORMULAS[name].home);
+        needsMandelbrot = true;
+        const c = FORMULAS[name].c;
+        if (c) {
+            setC(c.re, c.im);
+        } else {
+            updateStatus();
+            scheduleRender();
+        }
+    }
+
+    // --- View centre ---
+    // cx/cy are doubles, which is all the screen needs; hx/hy hold the same
+    // centre in fixed point with `bits` fraction bits, so panning and zooming
+    // stay exact long after doubles run out.
+    function bitsFor(scale) {
+        return Math.max(PRECISION_MARGIN, Math.ceil(-Math.log2(scale)) + PRECISION_MARGIN);
+    }
+
+    function makeView(home) {
+        const bits = bitsFor(home.scale);
+        return {
+            cx: home.cx,
+            cy: home.cy,
+            scale: home.scale,
+            bits,
+            hx: FractalCore.fixedFromNumber(home.cx, bits),
+            hy: FractalCore.fixedFromNumber(home.cy, bits)
+        };
+    }
+
+    function syncCenter(view) {
+        view.cx = FractalCore.fixedToNumber(view.hx, view.bits);
+        view.cy = FractalCore.fixedToNumber(view.hy, view.bits);
+    }
+
+    // Precision only ever grows, so saved centres can always be shifted up
+    function ensurePrecision(view) {
+        const bits = bitsFor(view.scale);
+        if (bits <= view.bits) return;
+        const shift = BigInt(bits - view.bits);
+        view.hx <<= shift;
+        view.hy <<= shift;
+        view.bits = bits;
+    }
+
+    // Move the centre by an offset in fractal coords
+    function moveCenter(view, ox, oy) {
+        ensurePrecision(view);
+        view.hx += FractalCore.fixedFromNumber(ox, view.bits);
+        view.hy += FractalCore.fixedFromNumber(oy, view.bits);
+        syncCenter(view);
+    }
+
+    function saveCenter(view) {
+        return { hx: view.hx, hy: view.hy, bits: view.bits };
+    }
+
+    // A view swapped in from the URL or history mid-drag may hold fewer bits
+    // than the saved centre, so it is raised to match instead of shifting down
+    function restoreCenter(view, saved) {
+        view.bits = Math.max(view.bits, saved.bits);
+        const shift = BigInt(view.bits - saved.bits);
+        view.hx = saved.hx << shift;
+        view.hy = saved.hy << shift;
+        syncCenter(view);
+    }
+
+    function zoomOf(view) {
+        return (view === mView ? FORMULAS[formula].home : JULIA_HOME).scale / view.scale;
+    }
+
+    // Perturbation takes over once pixels are too small for doubles; it is
+    // only worked out for z² + c
+    function isDeep(view, height) {
+        return formula === 'quadratic' && view.scale / height < FractalCore.DEEP_PIXEL;
+    }
+
+    // With auto iterations on, every decade of zoom adds half the base count
+    function iterationsFor(view) {
+        if (!autoIter) return maxIter;
+        const decades = Math.max(0, Math.log10(zoomOf(view)));
+        return Math.min(MAX_AUTO_ITER, Math.round(maxIter * (1 + decades / 2)));
+    }
+
     // --- Resize ---
     function resize() {
         const wrap = document.getElementById('canvas-wrap');
@@ -114,146 +380,488 @@
             juliaCanvas.width = rect.width;
             juliaCanvas.height = rect.height;
         }
+        orbitCanvas.width = rect.width;
+        orbitCanvas.height = rect.height;
+        cancelRender(layers.julia);
+        cancelRender(layers.mandelbrot);
         needsRender = true;
         needsMandelbrot = true;
+        queueFrame();
     }
 
-    // --- Fractal computation ---
-    function computeJulia(canvas, ctx, view, cr, ci, maxIt, palette) {
-        const w = canvas.width;
-        const h = canvas.height;
-        if (w === 0 || h === 0) return;
-        const imgData = ctx.createImageData(w, h);
-        const data = imgData.data;
-        const aspect = w / h;
-        const xMin = view.cx - view.scale / 2 * aspect;
-        const yMin = view.cy - view.scale / 2;
-        const dx = view.scale * aspect / w;
-        const dy = view.scale / h;
-        const pal = palettes[palette];
-        const logBase = 1 / Math.log(2);
-
-        for (let py = 0; py < h; py++) {
-            const y0 = yMin + py * dy;
-            for (let px = 0; px < w; px++) {
-                const x0 = xMin + px * dx;
-                let x = x0, y = y0;
-                let i = 0;
-                for (; i < maxIt; i++) {
-                    const x2 = x * x, y2 = y * y;
-                    if (x2 + y2 > 4) break;
-                    y = 2 * x * y + ci;
-                    x = x2 - y2 + cr;
-                }
-                const idx = (py * w + px) * 4;
-                if (i === maxIt) {
-                    data[idx] = 0;
-                    data[idx + 1] = 0;
-                    data[idx + 2] = 0;
-                } else {
-                    // Smooth coloring
-                    const zn = Math.sqrt(x * x + y * y);
-                    const smooth = i + 1 - Math.log(Math.log(zn)) * logBase;
-                    const t = (smooth % 50) / 50;
-                    const [r, g, b] = pal(t);
-                    data[idx] = r;
-                    data[idx + 1] = g;
-                    data[idx + 2] = b;
-                }
-                data[idx + 3] = 255;
+    // --- Tiled rendering ---
+    // Each canvas is rendered as a job of TILE_SIZE tiles, first every few
+    // pixels as a blocky preview and then at full detail. Tiles go to a pool
+    // of workers (or are run on the main thread between frames when workers
+    // are unavailable); bumping a layer's generation cancels its queued tiles
+    // and makes late results from the old view get dropped.
+    const TILE_SIZE = 64;
+    const PASSES = [8, 1]; // pixel step of each pass: preview, then full detail
+    const FRAME_BUDGET = 12; // ms of tile work per frame on the main thread
+    const MAX_WORKERS = 8;
+
+    // field holds the smooth escape count of every pixel (-1 = interior), or
+    // whatever the coloring modes in `modes` store instead, so recoloring and
+    // redrawing the crosshair never recompute iterations.
+    const layers = {
+        julia: { kind: 'julia', canvas: juliaCanvas, ctx: jCtx, generation: 0, field: null, image: null, finest: [], pending: 0, total: 0, drawnByGPU: false, modes: FractalCore.PLAIN_COLORING },
+        mandelbrot: { kind: 'mandelbrot', canvas: mandelbrotCanvas, ctx: mCtx, generation: 0, field: null, image: null, finest: [], pending: 0, total: 0, drawnByGPU: false, modes: FractalCore.PLAIN_COLORING }
+    };
+
+    let tileQueue = [];
+    let workerPool = [];
+    let nextTileId = 0;
+    const inFlight = new Map(); // tile id -> tile, for tiles handed to workers
+    let mainThreadQueued = false;
+
+    function createWorkers() {
+        if (typeof Worker === 'undefined') return;
+        const count = Math.min(MAX_WORKERS, navigator.hardwareConcurrency || 4);
+        try {
+            for (let n = 0; n < count; n++) {
+                const worker = new Worker('fractal-worker.js');
+                const slot = { worker, tile: null };
+                worker.onmessage = (e) => {
+                    slot.tile = null;
+                    const tile = inFlight.get(e.data.id);
+                    inFlight.delete(e.data.id);
+                    if (tile) finishTile(tile, e.data.values);
+                    pumpTiles();
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    abandonWorkers();
+                };
+                workerPool.push(slot);
             }
+        } catch (err) {
+            // file:// pages and strict CSPs refuse workers
+            abandonWorkers();
         }
-        ctx.putImageData(imgData, 0, 0);
     }
 
-    function computeMandelbrot(canvas, ctx, view, maxIt, palette) {
-        const w = canvas.width;
-        const h = canvas.height;
+    // Fall back to the main thread, putting any unfinished tiles back in line
+    function abandonWorkers() {
+        workerPool.forEach(slot => slot.worker.terminate());
+        workerPool = [];
+        tileQueue = [...inFlight.values(), ...tileQueue].sort((a, b) => a.pass - b.pass);
+        inFlight.clear();
+        updateRenderStatus();
+        pumpTiles();
+    }
+
+    function jobParams(layer) {
+        const view = layer === layers.julia ? jView : mView;
+        return viewJob(layer.kind, view, layer.canvas.width, layer.canvas.height, `${layer.kind}-${layer.generation}`);
+    }
+
+    // key names the job for the workers' reference-orbit cache
+    function viewJob(kind, view, width, height, key) {
+        const job = {
+            kind,
+            key,
+            view: { cx: view.cx, cy: view.cy, scale: view.scale },
+            width,
+            height,
+            maxIter: iterationsFor(view),
+            cr: cReal,
+            ci: cImag,
+            formula,
+            power,
+            phoenixP,
+            deep: isDeep(view, height)
+        };
+        if (formula === 'newton') job.coloring = FractalCore.ROOT_COLORING;
+        else job.coloring = formula === 'quadratic' && !job.deep ? coloringModes() : FractalCore.PLAIN_COLORING;
+        if (job.deep) {
+            job.hx = view.hx.toString();
+            job.hy = view.hy.toString();
+            job.bits = view.bits;
+        }
+        return job;
+    }
+
+    function cancelRender(layer) {
+        layer.generation++;
+        tileQueue = tileQueue.filter(tile => tile.layer !== layer);
+        layer.pending = 0;
+        layer.total = 0;
+    }
+
+    function ensureBuffers(layer) {
+        const w = layer.canvas.width;
+        const h = layer.canvas.height;
+        if (!layer.image || layer.image.width !== w || layer.image.height !== h) {
+            layer.image = layer.ctx.createImageData(w, h);
+            layer.field = new Float32Array(w * h).fill(-1);
+        }
+    }
+
+    function startRender(layer) {
+        cancelRender(layer);
+        const w = layer.canvas.width;
+        const h = layer.canvas.height;
         if (w === 0 || h === 0) return;
-        const imgData = ctx.createImageData(w, h);
-        const data = imgData.data;
-        const aspect = w / h;
-        const xMin = view.cx - view.scale / 2 * aspect;
-        const yMin = view.cy - view.scale / 2;
-        const dx = view.scale * aspect / w;
-        const dy = view.scale / h;
-        const pal = palettes[palette];
-        const logBase = 1 / Math.log(2);
-
-        for (let py = 0; py < h; py++) {
-            const ci = yMin + py * dy;
-            for (let px = 0; px < w; px++) {
-                const cr = xMin + px * dx;
-                let x = 0, y = 0;
-                let i = 0;
-                for (; i < maxIt; i++) {
-                    const x2 = x * x, y2 = y * y;
-                    if (x2 + y2 > 4) break;
-                    y = 2 * x * y + ci;
-                    x = x2 - y2 + cr;
+        ensureBuffers(layer);
+
+        const job = jobParams(layer);
+        layer.modes = job.coloring;
+        const cols = Math.ceil(w / TILE_SIZE);
+        const rows = Math.ceil(h / TILE_SIZE);
+        const tiles = [];
+        for (let ty = 0; ty < rows; ty++) {
+            for (let tx = 0; tx < cols; tx++) {
+                const x = tx * TILE_SIZE;
+                const y = ty * TILE_SIZE;
+                tiles.push({
+                    index: ty * cols + tx,
+                    x, y,
+                    w: Math.min(TILE_SIZE, w - x),
+                    h: Math.min(TILE_SIZE, h - y),
+                    // Centre tiles first, where the eye is
+                    dist: Math.hypot(x + TILE_SIZE / 2 - w / 2, y + TILE_SIZE / 2 - h / 2)
+                });
+            }
+        }
+        tiles.sort((a, b) => a.dist - b.dist);
+        layer.finest = new Array(cols * rows).fill(Infinity);
+
+        PASSES.forEach((step, pass) => {
+            tiles.forEach(t => {
+                tileQueue.push({
+                    id: nextTileId++, layer, generation: layer.generation, job, pass,
+                    index: t.index, x: t.x, y: t.y, w: t.w, h: t.h, step
+                });
+            });
+        });
+        layer.pending = layer.total = tiles.length * PASSES.length;
+        // Previews of every layer before detail of any
+        tileQueue.sort((a, b) => a.pass - b.pass);
+        updateRenderStatus();
+        pumpTiles();
+    }
+
+    function tileMessage(tile) {
+        return { id: tile.id, job: tile.job, tile: { x: tile.x, y: tile.y, w: tile.w, h: tile.h, step: tile.step } };
+    }
+
+    function pumpTiles() {
+        if (workerPool.length > 0) {
+            for (const slot of workerPool) {
+                if (slot.tile || tileQueue.length === 0) continue;
+                const tile = tileQueue.shift();
+                slot.tile = tile;
+                inFlight.set(tile.id, tile);
+                slot.worker.postMessage(tileMessage(tile));
+            }
+        } else if (tileQueue.length > 0 && !mainThreadQueued) {
+            mainThreadQueued = true;
+            requestAnimationFrame(runTilesOnMainThread);
+        }
+    }
+
+    function runTilesOnMainThread() {
+        mainThreadQueued = false;
+        const start = performance.now();
+        while (tileQueue.length > 0 && performance.now() - start < FRAME_BUDGET) {
+            const tile = tileQueue.shift();
+            const msg = tileMessage(tile);
+            finishTile(tile, FractalCore.computeTile(msg.job, msg.tile));
+        }
+        pumpTiles();
+    }
+
+    // Queues a tile that belongs to no layer, such as a poster chunk, behind
+    // everything on screen; resolves with the tile's values
+    function computeOffscreen(job, tile) {
+        return new Promise(resolve => {
+            tileQueue.push({ id: nextTileId++, layer: null, job, pass: PASSES.length, ...tile, done: resolve });
+            pumpTiles();
+        });
+    }
+
+    function finishTile(tile, values) {
+        if (tile.done) {
+            tile.done(values);
+            return;
+        }
+        const layer = tile.layer;
+        if (tile.generation !== layer.generation) return;
+        layer.pending--;
+        updateRenderStatus();
+        // A slow preview must not paint over detail that already arrived
+        if (tile.step > layer.finest[tile.index]) return;
+        layer.finest[tile.index] = tile.step;
+
+        const w = layer.canvas.width;
+        const field = layer.field;
+        const step = tile.step;
+        let k = 0;
+        for (let py = tile.y; py < tile.y + tile.h; py += step) {
+            const bh = Math.min(step, tile.y + tile.h - py);
+            for (let px = tile.x; px < tile.x + tile.w; px += step) {
+                const bw = Math.min(step, tile.x + tile.w - px);
+                const v = values[k++];
+                for (let y = py; y < py + bh; y++) {
+                    field.fill(v, y * w + px, y * w + px + bw);
                 }
-                const idx = (py * w + px) * 4;
-                if (i === maxIt) {
+            }
+        }
+        paintRegion(layer, tile.x, tile.y, tile.w, tile.h);
+    }
+
+    // --- Coloring ---
+    function coloringModes() {
+        return {
+            exterior: exteriorMode,
+            interior: interiorMode,
+            trap: { ...trap, angle: trap.angle * Math.PI / 180 },
+            stripeDensity
+        };
+    }
+
+    // Everything needed to turn field values from `modes` into colors, taken
+    // once so a long export keeps the coloring it started with
+    function coloringFor(modes) {
+        return {
+            table: paletteTable,
+            band: bandLength,
+            shift: colorOffset * bandLength,
+            exterior: COLORING_SCALES[modes.exterior],
+            roots: modes.exterior === 'roots',
+            interior: modes.interior === 'black' ? 0 : COLORING_SCALES[modes.interior]
+        };
+    }
+
+    // Offset of a field value's color in the palette table, or -1 for black.
+    // A bare -1 (no interior value, or no period found) is always black.
+    // Newton roots span one band by angle and step along it per iteration.
+    function colorIndex(value, coloring) {
+        let v;
+        if (value < 0) {
+            if (!coloring.interior || value === -1) return -1;
+            v = (-1 - value) * coloring.interior;
+        } else if (coloring.roots) {
+            const steps = Math.floor(value);
+            v = steps + (value - steps) * coloring.band;
+        } else {
+            v = value * coloring.exterior;
+        }
+        const band = coloring.band;
+        const t = (((v + coloring.shift) % band) + band) % band / band;
+        return Math.min(PALETTE_TABLE_SIZE - 1, Math.floor(t * PALETTE_TABLE_SIZE)) * 3;
+    }
+
+    function colorRegion(layer, x0, y0, w, h) {
+        const width = layer.canvas.width;
+        const field = layer.field;
+        const data = layer.image.data;
+        const coloring = coloringFor(layer.modes);
+        const table = coloring.table;
+        for (let py = y0; py < y0 + h; py++) {
+            for (let px = x0; px < x0 + w; px++) {
+                const p = py * width + px;
+                const idx = p * 4;
+                const j = colorIndex(field[p], coloring);
+                if (j < 0) {
                     data[idx] = 0;
                     data[idx + 1] = 0;
                     data[idx + 2] = 0;
                 } else {
-                    const zn = Math.sqrt(x * x + y * y);
-                    const smooth = i + 1 - Math.log(Math.log(zn)) * logBase;
-                    const t = (smooth % 50) / 50;
-                    const [r, g, b] = pal(t);
-                    data[idx] = r;
-                    data[idx + 1] = g;
-                    data[idx + 2] = b;
+                    data[idx] = table[j];
+                    data[idx + 1] = table[j + 1];
+                    data[idx + 2] = table[j + 2];
                 }
                 data[idx + 3] = 255;
             }
         }
-        ctx.putImageData(imgData, 0, 0);
+    }
 
-        // Draw crosshair at current c
+    function paintRegion(layer, x, y, w, h) {
+        colorRegion(layer, x, y, w, h);
+        layer.ctx.putImageData(layer.image, 0, 0, x, y, w, h);
+        if (layer === layers.mandelbrot) drawOverlay();
+    }
+
+    // Recolor a whole layer from its stored field
+    function repaint(layer) {
+        if (layer.drawnByGPU) {
+            renderLayer(layer);
+            return;
+        }
+        if (!layer.image || layer.image.width !== layer.canvas.width ||
+            layer.image.height !== layer.canvas.height) return;
+        paintRegion(layer, 0, 0, layer.canvas.width, layer.canvas.height);
+    }
+
+    function drawOverlay() {
+        drawCrosshair();
+        drawTourPath();
+    }
+
+    // Crosshair at the current c
+    function drawCrosshair() {
+        const { xMin, yMin, dx, dy } = FractalCore.viewBounds(mView, mandelbrotCanvas.width, mandelbrotCanvas.height);
         const cpx = (cReal - xMin) / dx;
         const cpy = (cImag - yMin) / dy;
-        ctx.strokeStyle = '#e94560';
-        ctx.lineWidth = 1.5;
-        ctx.beginPath();
-        ctx.moveTo(cpx - 10, cpy); ctx.lineTo(cpx + 10, cpy);
-        ctx.moveTo(cpx, cpy - 10); ctx.lineTo(cpx, cpy + 10);
-        ctx.stroke();
+        mCtx.strokeStyle = '#e94560';
+        mCtx.lineWidth = 1.5;
+        mCtx.beginPath();
+        mCtx.moveTo(cpx - 10, cpy); mCtx.lineTo(cpx + 10, cpy);
+        mCtx.moveTo(cpx, cpy - 10); mCtx.lineTo(cpx, cpy + 10);
+        mCtx.stroke();
     }
 
-    // --- Rendering with chunking for responsiveness ---
+    // --- WebGL rendering ---
+    // Whole frames straight from the shader while the view allows it; deep
+    // zooms, iteration counts past the shader's loop bound, a lost context or
+    // the CPU setting all go through the tiles above instead.
+    let gpu = null;
+    let gpuPalette = null;
+
+    function syncGPUColoring() {
+        const paletteKey = `${colorScheme}:${paletteVersion}`;
+        if (gpuPalette !== paletteKey) {
+            gpu.setPalette(palettes[colorScheme]);
+            gpuPalette = paletteKey;
+        }
+        gpu.setBanding(bandLength, colorOffset);
+    }
+
+    function renderLayer(layer) {
+        const job = jobParams(layer);
+        if (useGPU && gpu && job.width > 0 && job.height > 0 && gpu.supports(job)) {
+            cancelRender(layer);
+            syncGPUColoring();
+            gpu.draw(job, layer.ctx);
+            layer.drawnByGPU = true;
+            if (layer === layers.mandelbrot) drawOverlay();
+            updateRenderStatus();
+        } else {
+            layer.drawnByGPU = false;
+            startRender(layer);
+        }
+    }
+
+    // The whole layer at full detail before returning, for video frames
+    function renderLayerNow(layer) {
+        const job = jobParams(layer);
+        if (job.width === 0 || job.height === 0) return;
+        if (useGPU && gpu && gpu.supports(job)) {
+            renderLayer(layer);
+            return;
+        }
+        cancelRender(layer);
+        ensureBuffers(layer);
+        layer.modes = job.coloring;
+        layer.field.set(FractalCore.computeTile(job, { x: 0, y: 0, w: job.width, h: job.height, step: 1 }));
+        layer.drawnByGPU = false;
+        paintRegion(layer, 0, 0, job.width, job.height);
+        updateRenderStatus();
+    }
+
+    function updateRenderStatus() {
+        const pending = layers.julia.pending + layers.mandelbrot.pending;
+        const total = layers.julia.total + layers.mandelbrot.total;
+        if (pending > 0) {
+            statusRender.textContent = `Rendering ${Math.floor(100 * (total - pending) / total)}%`;
+        } else if (layers.julia.drawnByGPU) {
+            statusRender.textContent = 'WebGL';
+        } else {
+            const n = workerPool.length;
+            statusRender.textContent = n > 0 ? `${n} worker${n === 1 ? '' : 's'}` : 'Main thread';
+        }
+    }
+
+    // Opening the page with ?glcheck renders the Julia view once through the
+    // shader and once through FractalCore and reports how far they differ.
+    // Single precision and the coarser palette texture leave small
+    // differences; escape counts that disagree show up as differing pixels.
+    const GL_CHECK_TOLERANCE = 8; // per-channel difference still counted as a match
+
+    function glSelfCheck() {
+        const job = jobParams(layers.julia);
+        let report;
+        if (!gpu || job.width === 0 || !gpu.supports(job)) {
+            report = 'GL check: WebGL cannot draw this view';
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = job.width;
+            canvas.height = job.height;
+            const ctx = canvas.getContext('2d');
+            syncGPUColoring();
+            gpu.draw(job, ctx);
+            const shader = ctx.getImageData(0, 0, job.width, job.height).data;
+            const reference = new Uint8ClampedArray(shader.length);
+            const values = FractalCore.computeTile(job, { x: 0, y: 0, w: job.width, h: job.height, step: 1 });
+            downsampleChunk(values, job.width, job.height, 1, coloringFor(job.coloring), reference);
+            let maxDiff = 0, differing = 0;
+            for (let k = 0; k < shader.length; k += 4) {
+                const d = Math.max(Math.abs(shader[k] - reference[k]), Math.abs(shader[k + 1] - reference[k + 1]),
+                    Math.abs(shader[k + 2] - reference[k + 2]));
+                maxDiff = Math.max(maxDiff, d);
+                if (d > GL_CHECK_TOLERANCE) differing++;
+            }
+            report = `GL check: max channel difference ${maxDiff}, ` +
+                `${differing} of ${job.width * job.height} pixels off by more than ${GL_CHECK_TOLERANCE}`;
+        }
+        console.info(report);
+        statusRender.textContent = report;
+    }
+
+    // --- Render scheduling ---
     let renderQueued = false;
+    let needsCrosshair = false;
 
-    function scheduleRender() {
-        needsRender = true;
+    function queueFrame() {
         if (!renderQueued) {
             renderQueued = true;
             requestAnimationFrame(doRender);
         }
     }
 
+    function scheduleRender() {
+        needsRender = true;
+        queueFrame();
+    }
+
     function doRender() {
         renderQueued = false;
         if (needsRender) {
             needsRender = false;
-            computeJulia(juliaCanvas, jCtx, jView, cReal, cImag, maxIter, colorScheme);
+            renderLayer(layers.julia);
         }
         if (splitView && needsMandelbrot) {
             needsMandelbrot = false;
-            computeMandelbrot(mandelbrotCanvas, mCtx, mView, maxIter, colorScheme);
+            needsCrosshair = false;
+            renderLayer(layers.mandelbrot);
+        } else if (splitView && needsCrosshair) {
+            needsCrosshair = false;
+            repaint(layers.mandelbrot);
         }
+        drawOrbit();
     }
 
     // --- UI Updates ---
+    function formatZoom(view) {
+        const z = zoomOf(view);
+        return z >= 0.01 && z < 1e5 ? z.toFixed(2) : z.toExponential(2);
+    }
+
+    // Everything shown here is also part of the permalink
     function updateStatus() {
         const sign = cImag >= 0 ? '+' : '-';
         const absImag = Math.abs(cImag);
         statusC.textContent = `c = ${cReal.toFixed(4)} ${sign} ${absImag.toFixed(4)}i`;
-        const zoom = (3 / jView.scale).toFixed(2);
-        statusZoom.textContent = `Zoom ${zoom}x`;
-        zoomInfo.textContent = `Zoom: ${zoom}x`;
-        statusIter.textContent = `${maxIter} iter`;
+        const zoom = formatZoom(jView);
+        let depth = '';
+        if (isDeep(jView, juliaCanvas.height)) depth = ' · deep (perturbation)';
+        else if (jView.scale / juliaCanvas.height < FractalCore.DEEP_PIXEL) depth = ' · past double precision';
+        statusZoom.textContent = `Zoom ${zoom}x${depth}`;
+        zoomInfo.textContent = `Zoom: ${zoom}x${depth}`;
+        statusIter.textContent = `${iterationsFor(jView)} iter`;
+        updateColoringInfo();
+        noteStateChange();
     }
 
     function setC(re, im) {
@@ -264,8 +872,961 @@
         cRealVal.textContent = re.toFixed(4);
         cImagVal.textContent = im.toFixed(4);
         updateStatus();
+        needsCrosshair = true;
+        scheduleRender();
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Let the download start before the URL goes away
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function canvasToFractal(canvas, view, e) {
+        const rect = canvas.getBoundingClientRect();
+        const mx = e.clientX - rect.left;
+        const my = e.clientY - rect.top;
+        const aspect = canvas.width / canvas.height;
+        return {
+            re: view.cx + (mx / canvas.width - 0.5) * view.scale * aspect,
+            im: view.cy + (my / canvas.height - 0.5) * view.scale
+        };
+    }
+
+    // --- c-path tours ---
+    // c follows a loop just outside the main cardioid, a line segment, or a
+    // polyline through waypoints picked on the parameter plane, walked at
+    // constant speed. With looping on, every path closes: the line runs
+    // there and back.
+    function cardioidPoint(t) {
+        const a = 2 * Math.PI * t;
+        return {
+            re: CARDIOID_MARGIN * (Math.cos(a) / 2 - Math.cos(2 * a) / 4),
+            im: CARDIOID_MARGIN * (Math.sin(a) / 2 - Math.sin(2 * a) / 4)
+        };
+    }
+
+    // Corners of the path, or null when it needs more waypoints
+    function tourPolyline() {
+        const type = tourPathSelect.value;
+        if (type === 'cardioid') {
+            const pts = [];
+            for (let k = 0; k <= 200; k++) pts.push(cardioidPoint(k / 200));
+            return pts;
+        }
+        if (tourWaypoints.length < 2) return null;
+        const pts = type === 'line'
+            ? [tourWaypoints[0], tourWaypoints[tourWaypoints.length - 1]]
+            : [...tourWaypoints];
+        if (tourLoopCheck.checked) {
+            if (type === 'line') pts.push(pts[0]);
+            else pts.push(tourWaypoints[0]);
+        }
+        return pts;
+    }
+
+    function tourPoint(t) {
+        if (tourPathSelect.value === 'cardioid') return cardioidPoint(t);
+        const pts = tourPolyline();
+        if (!pts) return null;
+        const lengths = [];
+        let total = 0;
+        for (let k = 1; k < pts.length; k++) {
+            const len = Math.hypot(pts[k].re - pts[k - 1].re, pts[k].im - pts[k - 1].im);
+            lengths.push(len);
+            total += len;
+        }
+        let target = t * total;
+        for (let k = 0; k < lengths.length; k++) {
+            if (target <= lengths[k] || k === lengths.length - 1) {
+                const f = lengths[k] > 0 ? Math.min(1, target / lengths[k]) : 0;
+                return {
+                    re: pts[k].re + (pts[k + 1].re - pts[k].re) * f,
+                    im: pts[k].im + (pts[k + 1].im - pts[k].im) * f
+                };
+            }
+            target -= lengths[k];
+        }
+        return pts[0];
+    }
+
+    function drawTourPath() {
+        if (!tourPlaying && !recording && !pickingWaypoints && tourWaypoints.length === 0) return;
+        const { xMin, yMin, dx, dy } = FractalCore.viewBounds(mView, mandelbrotCanvas.width, mandelbrotCanvas.height);
+        const toX = re => (re - xMin) / dx;
+        const toY = im => (im - yMin) / dy;
+        const pts = tourPolyline();
+        if (pts) {
+            mCtx.strokeStyle = '#f5c518';
+            mCtx.lineWidth = 1.5;
+            mCtx.setLineDash([5, 4]);
+            mCtx.beginPath();
+            pts.forEach((p, k) => {
+                if (k === 0) mCtx.moveTo(toX(p.re), toY(p.im));
+                else mCtx.lineTo(toX(p.re), toY(p.im));
+            });
+            mCtx.stroke();
+            mCtx.setLineDash([]);
+        }
+        mCtx.fillStyle = '#f5c518';
+        tourWaypoints.forEach(p => {
+            mCtx.beginPath();
+            mCtx.arc(toX(p.re), toY(p.im), 4, 0, Math.PI * 2);
+            mCtx.fill();
+        });
+    }
+
+    function refreshTourPath() {
+        if (splitView) repaint(layers.mandelbrot);
+    }
+
+    function tourDuration() {
+        return parseInt(tourDurationSlider.value);
+    }
+
+    function playTour() {
+        if (!tourPolyline()) {
+            tourStatus.textContent = 'Pick at least two waypoints on the parameter plane first.';
+            return;
+        }
+        if (tourT >= 1) tourT = 0;
+        tourPlaying = true;
+        tourPlayBtn.textContent = 'Pause';
+        tourStatus.textContent = '';
+        tourLastFrame = performance.now();
+        requestAnimationFrame(tourFrame);
+    }
+
+    function pauseTour() {
+        tourPlaying = false;
+        tourPlayBtn.textContent = 'Play';
+        refreshTourPath();
+    }
+
+    function tourFrame(now) {
+        if (!tourPlaying) return;
+        tourT += (now - tourLastFrame) / 1000 / tourDuration();
+        tourLastFrame = now;
+        if (tourT >= 1) {
+            if (tourLoopCheck.checked) {
+                tourT %= 1;
+            } else {
+                tourT = 1;
+                pauseTour();
+            }
+        }
+        const c = tourPoint(tourT);
+        if (c) setC(c.re, c.im);
+        if (tourPlaying) requestAnimationFrame(tourFrame);
+    }
+
+    // One pass along the path, each frame fully rendered before it is
+    // captured; slow CPU frames make the video longer, not blockier
+    async function exportTourVideo() {
+        if (typeof MediaRecorder === 'undefined' || !juliaCanvas.captureStream) {
+            tourStatus.textContent = 'This browser cannot record canvas video.';
+            return;
+        }
+        if (!tourPolyline()) {
+            tourStatus.textContent = 'Pick at least two waypoints on the parameter plane first.';
+            return;
+        }
+        pauseTour();
+        recording = true;
+        tourPlayBtn.disabled = true;
+        tourExportBtn.disabled = true;
+
+        // Frames are drawn straight into the recorded canvas: c is set
+        // without setC so no scheduled tile render can paint a preview
+        // pass over a captured frame
+        let recorder = null;
+        let track = null;
+        try {
+            const stream = juliaCanvas.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.start();
+
+            const frames = Math.round(tourDuration() * VIDEO_FPS);
+            for (let f = 0; f <= frames; f++) {
+                const started = performance.now();
+                const c = tourPoint(f / frames);
+                cReal = c.re;
+                cImag = c.im;
+                renderLayerNow(layers.julia);
+                track.requestFrame();
+                tourStatus.textContent = `Recording frame ${f} of ${frames}…`;
+                const wait = 1000 / VIDEO_FPS - (performance.now() - started);
+                await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+            }
+            recorder.stop();
+            await stopped;
+
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'julia-tour.webm');
+            tourStatus.textContent = `Saved ${frames + 1} frames at ${VIDEO_FPS} fps.`;
+        } catch (err) {
+            tourStatus.textContent = `Recording failed: ${err.message}`;
+        } finally {
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+            if (track) track.stop();
+            recording = false;
+            tourPlayBtn.disabled = false;
+            tourExportBtn.disabled = false;
+            setC(cReal, cImag);
+            refreshTourPath();
+        }
+    }
+
+    // --- Coloring modes ---
+    function updateColoringControls() {
+        exteriorSelect.value = exteriorMode;
+        interiorSelect.value = interiorMode;
+        trapShapeSelect.value = trap.shape;
+        trapXSlider.value = trap.x;
+        trapYSlider.value = trap.y;
+        trapRadiusSlider.value = trap.radius;
+        trapAngleSlider.value = trap.angle;
+        stripeSlider.value = stripeDensity;
+        trapXVal.textContent = trap.x.toFixed(2);
+        trapYVal.textContent = trap.y.toFixed(2);
+        trapRadiusVal.textContent = trap.radius.toFixed(2);
+        trapAngleVal.textContent = `${trap.angle}°`;
+        stripeVal.textContent = stripeDensity;
+        trapControls.classList.toggle('hidden', exteriorMode !== 'trap');
+        trapRadiusLabel.classList.toggle('hidden', trap.shape !== 'circle');
+        trapAngleLabel.classList.toggle('hidden', trap.shape !== 'line' && trap.shape !== 'cross');
+        stripeLabel.classList.toggle('hidden', exteriorMode !== 'stripe');
+        updateColoringInfo();
+    }
+
+    // The kernels only have the other modes for z² + c above the deep-zoom range
+    function updateColoringInfo() {
+        let note = '';
+        if (exteriorMode !== 'smooth' || interiorMode !== 'black') {
+            if (formula === 'newton') note = 'Newton fractals are colored by the root each point reaches.';
+            else if (formula !== 'quadratic') note = 'Other formulas use smooth coloring.';
+            else if (isDeep(jView, juliaCanvas.height)) note = 'Deep zooms use smooth coloring.';
+        }
+        coloringInfo.textContent = note;
+    }
+
+    // Modes change what the field holds, so both planes are recomputed
+    function coloringChanged() {
+        updateColoringControls();
         needsMandelbrot = true;
         scheduleRender();
+        noteStateChange();
+    }
+
+    // --- Gradient editor ---
+    // The bar previews the current palette. Editing it switches to the
+    // custom gradient, seeded from whichever palette was showing.
+    const GRADIENT_PREVIEW_SAMPLES = 64;
+    let draggingStop = null; // { stop, handle } while a stop is being dragged
+
+    function currentStops() {
+        return colorScheme === 'custom' ? customStops : Gradients.fromFunction(palettes[colorScheme]);
+    }
+
+    function editCustomStops() {
+        if (colorScheme !== 'custom') {
+            customStops = Gradients.fromFunction(palettes[colorScheme]);
+            colorScheme = 'custom';
+            colorSelect.value = 'custom';
+            selectedStop = null;
+        }
+        return customStops;
+    }
+
+    function gradientPosition(e) {
+        const rect = gradientBar.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    }
+
+    function paintGradientBar() {
+        const colors = [];
+        for (let k = 0; k <= GRADIENT_PREVIEW_SAMPLES; k++) {
+            const j = Math.min(PALETTE_TABLE_SIZE - 1, Math.floor(k / GRADIENT_PREVIEW_SAMPLES * PALETTE_TABLE_SIZE)) * 3;
+            colors.push(`rgb(${paletteTable[j]}, ${paletteTable[j + 1]}, ${paletteTable[j + 2]}) ${(100 * k / GRADIENT_PREVIEW_SAMPLES).toFixed(2)}%`);
+        }
+        gradientBar.style.background = `linear-gradient(to right, ${colors.join(', ')})`;
+    }
+
+    function updateStopControls() {
+        stopColorInput.disabled = !selectedStop;
+        stopDeleteBtn.disabled = !selectedStop || customStops.length <= 2;
+        if (selectedStop) stopColorInput.value = Gradients.toHex(selectedStop.color);
+    }
+
+    function buildStopHandles() {
+        gradientBar.querySelectorAll('.gradient-stop').forEach(el => el.remove());
+        if (colorScheme === 'custom') {
+            customStops.forEach(stop => {
+                const handle = document.createElement('div');
+                handle.className = 'gradient-stop';
+                handle.classList.toggle('selected', stop === selectedStop);
+                handle.style.left = `${stop.pos * 100}%`;
+                handle.style.background = Gradients.toHex(stop.color);
+                handle.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    selectedStop = stop;
+                    gradientBar.querySelectorAll('.gradient-stop').forEach(el => el.classList.toggle('selected', el === handle));
+                    updateStopControls();
+                    draggingStop = { stop, handle };
+                });
+                gradientBar.appendChild(handle);
+            });
+        }
+        updateStopControls();
+    }
+
+    // New palette colors: rebuild the table and recolor, no recomputation
+    function paletteChanged() {
+        paletteVersion++;
+        buildPaletteTable();
+        paintGradientBar();
+        recolorLayers();
+    }
+
+    function recolorLayers() {
+        repaint(layers.julia);
+        if (splitView) repaint(layers.mandelbrot);
+        noteStateChange();
+    }
+
+    function setBandLength(length) {
+        bandLength = Math.max(parseFloat(bandSlider.min), Math.min(parseFloat(bandSlider.max), Math.round(length)));
+        bandSlider.value = bandLength;
+        bandVal.textContent = bandLength;
+    }
+
+    function setColorOffset(offset) {
+        colorOffset = ((offset % 1) + 1) % 1;
+        offsetSlider.value = colorOffset;
+        offsetVal.textContent = colorOffset.toFixed(2);
+    }
+
+    function cycleSpeed() {
+        return parseFloat(cycleSpeedSlider.value);
+    }
+
+    // Shifts the offset each frame; only the coloring is redone
+    function cycleFrame(now) {
+        if (!cycling) return;
+        setColorOffset(colorOffset + (now - cycleLastFrame) / 1000 * cycleSpeed());
+        cycleLastFrame = now;
+        recolorLayers();
+        requestAnimationFrame(cycleFrame);
+    }
+
+    function applyGradient(gradient) {
+        customStops = gradient.stops;
+        colorScheme = 'custom';
+        colorSelect.value = 'custom';
+        selectedStop = null;
+        if (gradient.bandLength !== null) setBandLength(gradient.bandLength);
+        if (gradient.offset !== null) setColorOffset(gradient.offset);
+        buildStopHandles();
+        paletteChanged();
+    }
+
+    function exportPalette() {
+        const format = paletteFormatSelect.value;
+        const gradient = { name: colorScheme, stops: currentStops(), bandLength, offset: colorOffset };
+        const text = format === 'map' ? Gradients.toMap(gradient)
+            : format === 'ugr' ? Gradients.toUGR(gradient)
+            : Gradients.toJSON(gradient);
+        const type = format === 'json' ? 'application/json' : 'text/plain';
+        downloadBlob(new Blob([text], { type }), `julia-${colorScheme}.${format}`);
+    }
+
+    // --- Poster export ---
+    // Renders a view at any size through the CPU kernels, a chunk at a time
+    // on an off-screen canvas. With supersampling each output pixel averages
+    // an ss × ss grid of samples.
+    function openExportDialog() {
+        exportViewSelect.value = 'julia';
+        matchExportSize();
+        exportProgress.value = 0;
+        exportStatus.textContent = '';
+        exportModal.classList.remove('hidden');
+    }
+
+    function closeExportDialog() {
+        if (activePoster) return;
+        exportModal.classList.add('hidden');
+    }
+
+    function exportCanvas() {
+        const canvas = exportViewSelect.value === 'mandelbrot' ? mandelbrotCanvas : juliaCanvas;
+        return canvas.width > 0 && canvas.height > 0 ? canvas : juliaCanvas;
+    }
+
+    // Starts from the on-screen size of the chosen view
+    function matchExportSize() {
+        const canvas = exportCanvas();
+        exportWidthInput.value = canvas.width;
+        exportHeightInput.value = canvas.height;
+    }
+
+    function keepExportAspect(changed) {
+        if (!exportAspectCheck.checked) return;
+        const canvas = exportCanvas();
+        const aspect = canvas.width / canvas.height;
+        if (!(aspect > 0)) return;
+        if (changed === exportWidthInput) {
+            exportHeightInput.value = Math.max(1, Math.round(parseInt(exportWidthInput.value) / aspect));
+        } else {
+            exportWidthInput.value = Math.max(1, Math.round(parseInt(exportHeightInput.value) * aspect));
+        }
+    }
+
+    // Averages each ss × ss block of samples into one pixel of data
+    function downsampleChunk(values, w, h, ss, coloring, data) {
+        const table = coloring.table;
+        const rowSamples = w * ss;
+        const weight = 1 / (ss * ss);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let sy = 0; sy < ss; sy++) {
+                    for (let sx = 0; sx < ss; sx++) {
+                        const j = colorIndex(values[(y * ss + sy) * rowSamples + x * ss + sx], coloring);
+                        if (j < 0) continue;
+                        r += table[j];
+                        g += table[j + 1];
+                        b += table[j + 2];
+                    }
+                }
+                const idx = (y * w + x) * 4;
+                data[idx] = r * weight;
+                data[idx + 1] = g * weight;
+                data[idx + 2] = b * weight;
+                data[idx + 3] = 255;
+            }
+        }
+    }
+
+    function posterMetadata(kind, view, job) {
+        const viewText = { cx: view.cx, cy: view.cy, scale: view.scale, hx: view.hx.toString(), hy: view.hy.toString(), bits: view.bits };
+        const params = formula === 'multibrot' || formula === 'newton' ? `, d = ${power}`
+            : formula === 'phoenix' ? `, p = ${phoenixP}` : '';
+        return [
+            ['Title', kind === 'julia' ? 'Julia set' : 'Parameter plane'],
+            ['Software', 'Julia Set Explorer'],
+            ['Formula', formula + params],
+            ['c', `${cReal} ${cImag < 0 ? '-' : '+'} ${Math.abs(cImag)}i`],
+            ['View', JSON.stringify(viewText)],
+            ['Iterations', String(job.maxIter)],
+            ['Coloring', JSON.stringify(job.coloring)],
+            ['Palette', Gradients.toJSON({ name: colorScheme, stops: currentStops(), bandLength, offset: colorOffset })]
+        ];
+    }
+
+    async function exportPoster() {
+        const width = parseInt(exportWidthInput.value);
+        const height = parseInt(exportHeightInput.value);
+        const ss = parseInt(exportAASelect.value);
+        if (!(width >= 1 && height >= 1 && width <= MAX_POSTER_SIDE && height <= MAX_POSTER_SIDE)) {
+            exportStatus.textContent = `Width and height must be between 1 and ${MAX_POSTER_SIDE} pixels.`;
+            return;
+        }
+        const kind = exportViewSelect.value;
+        const view = kind === 'julia' ? jView : mView;
+        const job = viewJob(kind, view, width * ss, height * ss, `${kind}-poster-${posterCount++}`);
+        const coloring = coloringFor(job.coloring);
+        const meta = posterMetadata(kind, view, job);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const chunks = [];
+        for (let y = 0; y < height; y += POSTER_CHUNK) {
+            for (let x = 0; x < width; x += POSTER_CHUNK) {
+                chunks.push({ x, y, w: Math.min(POSTER_CHUNK, width - x), h: Math.min(POSTER_CHUNK, height - y) });
+            }
+        }
+
+        const task = { cancelled: false };
+        activePoster = task;
+        exportStartBtn.disabled = true;
+        exportProgress.value = 0;
+        exportStatus.textContent = 'Rendering 0%';
+        let next = 0;
+        let done = 0;
+        // One runner per worker keeps the whole pool busy
+        const runner = async () => {
+            while (!task.cancelled && next < chunks.length) {
+                const chunk = chunks[next++];
+                const values = await computeOffscreen(job, { x: chunk.x * ss, y: chunk.y * ss, w: chunk.w * ss, h: chunk.h * ss, step: 1 });
+                if (task.cancelled) return;
+                const image = ctx.createImageData(chunk.w, chunk.h);
+                downsampleChunk(values, chunk.w, chunk.h, ss, coloring, image.data);
+                ctx.putImageData(image, chunk.x, chunk.y);
+                done++;
+                exportProgress.value = done / chunks.length;
+                exportStatus.textContent = `Rendering ${Math.floor(100 * done / chunks.length)}%`;
+            }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, workerPool.length) }, runner));
+
+        if (!task.cancelled) {
+            exportStatus.textContent = 'Encoding PNG…';
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (blob) {
+                const png = PNGText.addText(new Uint8Array(await blob.arrayBuffer()), meta);
+                downloadBlob(new Blob([png], { type: 'image/png' }), `julia-${kind}-${width}x${height}.png`);
+                exportStatus.textContent = `Saved ${width} × ${height}${ss > 1 ? ` with ${ss}×${ss} supersampling` : ''}.`;
+            } else {
+                exportStatus.textContent = 'The browser could not encode an image this large.';
+            }
+        } else {
+            exportProgress.value = 0;
+            exportStatus.textContent = 'Export cancelled.';
+        }
+        activePoster = null;
+        exportStartBtn.disabled = false;
+    }
+
+    function cancelPoster() {
+        if (!activePoster) {
+            closeExportDialog();
+            return;
+        }
+        activePoster.cancelled = true;
+        // Settle the chunks still waiting so the runners can wind down
+        tileQueue.filter(tile => tile.done).forEach(tile => tile.done(null));
+        tileQueue = tileQueue.filter(tile => !tile.done);
+    }
+
+    // --- Permalinks and history ---
+    // The URL hash always describes the current picture: c, both views with
+    // their exact fixed-point centres, iterations, formula, palette and split
+    // mode. A change is written there once things have been quiet for
+    // SETTLE_MS, and if a view moved it also becomes a back/forward step.
+    function encodeView(view) {
+        return [view.hx, view.hy, view.bits, view.scale].join('_');
+    }
+
+    function decodeView(text) {
+        const parts = (text || '').split('_');
+        if (parts.length !== 4) return null;
+        const bits = Number(parts[2]);
+        const scale = Number(parts[3]);
+        // More bits than the deepest zoom needs would overflow fixedFromNumber
+        if (!Number.isInteger(bits) || bits < 0 || bits > bitsFor(MIN_SCALE)) return null;
+        if (!(scale >= MIN_SCALE && scale <= 1e3)) return null;
+        try {
+            const view = { hx: BigInt(parts[0]), hy: BigInt(parts[1]), bits, scale };
+            ensurePrecision(view);
+            syncCenter(view);
+            return view;
+        } catch (err) {
+            return null; // not an integer
+        }
+    }
+
+    // Stops as pos-rrggbb pairs joined by underscores
+    function encodeStops(stops) {
+        return stops.map(s => `${s.pos.toFixed(4)}-${Gradients.toHex(s.color).slice(1)}`).join('_');
+    }
+
+    function decodeStops(text) {
+        if (!text) return null;
+        const stops = [];
+        for (const part of text.split('_')) {
+            const m = /^(\d*\.?\d+)-([0-9a-f]{6})$/i.exec(part);
+            if (!m || parseFloat(m[1]) > 1) return null;
+            stops.push({ pos: parseFloat(m[1]), color: Gradients.fromHex(m[2]) });
+        }
+        return stops.length >= 2 ? Gradients.sortStops(stops) : null;
+    }
+
+    function stateHash() {
+        const params = new URLSearchParams();
+        params.set('c', `${cReal}_${cImag}`);
+        params.set('j', encodeView(jView));
+        params.set('m', encodeView(mView));
+        params.set('it', maxIter);
+        params.set('auto', autoIter ? 1 : 0);
+        params.set('f', formula);
+        if (formula === 'multibrot' || formula === 'newton') params.set('d', power);
+        if (formula === 'phoenix') params.set('p', phoenixP);
+        params.set('ext', exteriorMode);
+        if (exteriorMode === 'trap') params.set('trap', [trap.shape, trap.x, trap.y, trap.radius, trap.angle].join('_'));
+        if (exteriorMode === 'stripe') params.set('stripe', stripeDensity);
+        params.set('int', interiorMode);
+        params.set('pal', colorScheme);
+        if (colorScheme === 'custom') params.set('grad', encodeStops(customStops));
+        params.set('band', bandLength);
+        params.set('off', colorOffset.toFixed(3));
+        params.set('split', splitView ? 1 : 0);
+        return params.toString();
+    }
+
+    // Anything missing or malformed keeps its current value
+    function applyHash(hash) {
+        if (!hash) return;
+        const params = new URLSearchParams(hash);
+
+        const f = params.get('f');
+        if (FORMULAS[f]) {
+            formula = f;
+            formulaSelect.value = f;
+        }
+        const d = Number(params.get('d'));
+        if (Number.isInteger(d) && d >= parseInt(powerSlider.min) && d <= parseInt(powerSlider.max)) {
+            power = d;
+            powerSlider.value = d;
+            powerVal.textContent = d;
+        }
+        const p = params.has('p') ? Number(params.get('p')) : NaN;
+        if (p >= parseFloat(phoenixSlider.min) && p <= parseFloat(phoenixSlider.max)) {
+            phoenixP = p;
+            phoenixSlider.value = p;
+            phoenixVal.textContent = p.toFixed(2);
+        }
+        updateFormulaControls();
+
+        const it = Number(params.get('it'));
+        if (Number.isInteger(it) && it >= parseInt(iterSlider.min) && it <= parseInt(iterSlider.max)) {
+            maxIter = it;
+            iterSlider.value = it;
+            iterVal.textContent = it;
+        }
+        if (params.has('auto')) {
+            autoIter = params.get('auto') !== '0';
+            autoIterCheck.checked = autoIter;
+        }
+
+        const c = (params.get('c') || '').split('_').map(Number);
+        if (c.length === 2 && c.every(Number.isFinite)) setC(c[0], c[1]);
+        jView = decodeView(params.get('j')) || jView;
+        mView = decodeView(params.get('m')) || mView;
+
+        const hasOption = (select, value) => [...select.options].some(o => o.value === value);
+        const inRange = (slider, value) => value >= parseFloat(slider.min) && value <= parseFloat(slider.max);
+        if (hasOption(exteriorSelect, params.get('ext'))) exteriorMode = params.get('ext');
+        if (hasOption(interiorSelect, params.get('int'))) interiorMode = params.get('int');
+        const [shape, ...values] = (params.get('trap') || '').split('_');
+        const [tx, ty, radius, angle] = values.map(Number);
+        if (hasOption(trapShapeSelect, shape) && inRange(trapXSlider, tx) && inRange(trapYSlider, ty) &&
+            inRange(trapRadiusSlider, radius) && inRange(trapAngleSlider, angle)) {
+            Object.assign(trap, { shape, x: tx, y: ty, radius, angle });
+        }
+        const stripe = Number(params.get('stripe'));
+        if (Number.isInteger(stripe) && inRange(stripeSlider, stripe)) stripeDensity = stripe;
+        updateColoringControls();
+
+        customStops = decodeStops(params.get('grad')) || customStops;
+        const pal = params.get('pal');
+        if (palettes[pal] && (pal !== 'custom' || customStops)) {
+            colorScheme = pal;
+            colorSelect.value = pal;
+        }
+        const band = Number(params.get('band'));
+        if (band > 0) setBandLength(band);
+        const off = params.has('off') ? Number(params.get('off')) : NaN;
+        if (Number.isFinite(off)) setColorOffset(off);
+        selectedStop = null;
+        buildStopHandles();
+        paletteChanged();
+
+        if (params.has('split') && (params.get('split') === '1') !== splitView) splitBtn.click();
+        updateStatus();
+        needsMandelbrot = true;
+        scheduleRender();
+    }
+
+    function noteStateChange() {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(settleState, SETTLE_MS);
+    }
+
+    function settleState() {
+        clearTimeout(settleTimer);
+        settleTimer = null;
+        writeHash(stateHash());
+        // A drag is one step, recorded when the button comes up
+        if (!dragging) recordViews();
+    }
+
+    // replaceState keeps the browser's own history clean; some file://
+    // setups refuse it, where replacing the location does the same job
+    function writeHash(hash) {
+        if (hash === location.hash.slice(1)) return;
+        writtenHash = hash;
+        try {
+            history.replaceState(null, '', '#' + hash);
+        } catch (err) {
+            location.replace('#' + hash);
+        }
+    }
+
+    function sameView(a, b) {
+        return a.hx === b.hx && a.hy === b.hy && a.bits === b.bits && a.scale === b.scale;
+    }
+
+    function recordViews() {
+        const current = viewHistory[historyIndex];
+        if (current && sameView(current.j, jView) && sameView(current.m, mView)) return;
+        viewHistory = viewHistory.slice(0, historyIndex + 1);
+        viewHistory.push({ j: { ...jView }, m: { ...mView } });
+        if (viewHistory.length > MAX_HISTORY) viewHistory.shift();
+        historyIndex = viewHistory.length - 1;
+        updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+        backBtn.disabled = historyIndex <= 0;
+        forwardBtn.disabled = historyIndex >= viewHistory.length - 1;
+    }
+
+    // delta -1 goes back, +1 forward
+    function stepHistory(delta) {
+        if (settleTimer) settleState();
+        const index = historyIndex + delta;
+        if (index < 0 || index >= viewHistory.length) return;
+        historyIndex = index;
+        jView = { ...viewHistory[index].j };
+        mView = { ...viewHistory[index].m };
+        updateHistoryButtons();
+        updateStatus();
+        needsMandelbrot = true;
+        scheduleRender();
+    }
+
+    function copyLink() {
+        settleState();
+        if (!navigator.clipboard) {
+            bookmarkStatus.textContent = 'Copy the address bar to share this view.';
+            return;
+        }
+        navigator.clipboard.writeText(location.href).then(
+            () => { bookmarkStatus.textContent = 'Link copied.'; },
+            () => { bookmarkStatus.textContent = 'Copy the address bar to share this view.'; }
+        );
+    }
+
+    // --- Bookmarks ---
+    // Storage can be unavailable (private mode, file:// in some browsers),
+    // so reads fall back to an empty list and failed writes are reported.
+    function readBookmarks() {
+        try {
+            const list = JSON.parse(localStorage.getItem(BOOKMARK_KEY));
+            return Array.isArray(list) ? list : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function writeBookmarks(list) {
+        try {
+            localStorage.setItem(BOOKMARK_KEY, JSON.stringify(list));
+            return true;
+        } catch (err) {
+            bookmarkStatus.textContent = `Could not save bookmarks: ${err.message}`;
+            return false;
+        }
+    }
+
+    function thumbnail() {
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMB_WIDTH;
+        canvas.height = Math.max(1, Math.round(THUMB_WIDTH * juliaCanvas.height / juliaCanvas.width));
+        canvas.getContext('2d').drawImage(juliaCanvas, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.8);
+    }
+
+    function addBookmark() {
+        if (juliaCanvas.width === 0 || juliaCanvas.height === 0) return;
+        const list = readBookmarks();
+        list.push({
+            hash: stateHash(),
+            thumb: thumbnail(),
+            label: `${statusC.textContent} · ${formatZoom(jView)}x`,
+            saved: new Date().toISOString()
+        });
+        if (writeBookmarks(list)) {
+            bookmarkStatus.textContent = '';
+            renderBookmarks();
+        }
+    }
+
+    function removeBookmark(saved) {
+        if (writeBookmarks(readBookmarks().filter(b => b.saved !== saved))) renderBookmarks();
+    }
+
+    function renderBookmarks() {
+        bookmarkList.textContent = '';
+        readBookmarks().forEach(b => {
+            const item = document.createElement('div');
+            item.className = 'bookmark';
+            item.title = b.label;
+            const img = document.createElement('img');
+            img.src = b.thumb;
+            img.alt = b.label;
+            const label = document.createElement('span');
+            label.textContent = b.label;
+            const remove = document.createElement('button');
+            remove.className = 'bookmark-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove bookmark';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeBookmark(b.saved);
+            });
+            item.addEventListener('click', () => {
+                applyHash(b.hash);
+                settleState();
+            });
+            item.append(img, label, remove);
+            bookmarkList.appendChild(item);
+        });
+    }
+
+    // --- Orbit inspection ---
+    // While inspecting, the point under the cursor has its orbit drawn over
+    // the canvas it is on: z₀ itself iterated under the current c on the
+    // Julia side, and the critical orbit from z₀ = 0 for that c on the
+    // parameter plane. A click pins the point so the orbit follows changes
+    // to c and the view; another click releases it.
+    function orbitTargetAt(e) {
+        const over = (canvas) => {
+            const rect = canvas.getBoundingClientRect();
+            return e.clientX >= rect.left && e.clientX <= rect.right &&
+                e.clientY >= rect.top && e.clientY <= rect.bottom;
+        };
+        if (over(juliaCanvas)) return { kind: 'julia', ...canvasToFractal(juliaCanvas, jView, e) };
+        if (splitView && over(mandelbrotCanvas)) return { kind: 'mandelbrot', ...canvasToFractal(mandelbrotCanvas, mView, e) };
+        return null;
+    }
+
+    function toggleOrbitPin(e) {
+        if (Math.hypot(e.clientX - dragStart.x, e.clientY - dragStart.y) > CLICK_SLOP) return;
+        orbitTarget = orbitTargetAt(e);
+        orbitPinned = !orbitPinned && orbitTarget !== null;
+        drawOrbit();
+    }
+
+    function traceTarget(target) {
+        if (target.kind === 'julia') return FractalCore.traceOrbit(target.re, target.im, cReal, cImag, iterationsFor(jView));
+        return FractalCore.traceOrbit(0, 0, target.re, target.im, iterationsFor(mView));
+    }
+
+    // The period of the attracting cycle is the period of the hyperbolic
+    // component c lies in
+    function componentName(period) {
+        if (period === 1) return 'main cardioid';
+        if (period === 2) return 'period-2 bulb';
+        return `period-${period} component`;
+    }
+
+    function formatComplex(re, im) {
+        return `${re.toFixed(6)} ${im >= 0 ? '+' : '-'} ${Math.abs(im).toFixed(6)}i`;
+    }
+
+    function describeOrbit(target, orbit) {
+        const lines = [`${target.kind === 'julia' ? 'z₀' : 'c'} = ${formatComplex(target.re, target.im)}`];
+        if (orbit.escaped) {
+            lines.push(`Escapes after ${orbit.iterations} iteration${orbit.iterations === 1 ? '' : 's'}`);
+        } else if (orbit.period) {
+            lines.push(`Bounded; attracting ${orbit.period}-cycle, |λ| = ${orbit.multiplier.toFixed(3)}`);
+            if (target.kind === 'mandelbrot') lines.push(`In the ${componentName(orbit.period)}`);
+        } else {
+            lines.push(`Bounded for ${orbit.iterations} iterations; no attracting cycle found`);
+        }
+        lines.push(orbitPinned ? 'Pinned; click again to release.' : 'Click to pin.');
+        return lines.join('\n');
+    }
+
+    function drawOrbitDot(x, y, radius) {
+        oCtx.beginPath();
+        oCtx.arc(x, y, radius, 0, Math.PI * 2);
+        oCtx.fill();
+    }
+
+    function drawOrbitLabel(text, x, y) {
+        oCtx.font = '12px sans-serif';
+        const w = oCtx.measureText(text).width + 8;
+        oCtx.fillStyle = 'rgba(22, 33, 62, 0.85)';
+        oCtx.fillRect(x, y - 16, w, 20);
+        oCtx.fillStyle = '#ffffff';
+        oCtx.fillText(text, x + 4, y - 2);
+    }
+
+    function drawOrbit() {
+        oCtx.clearRect(0, 0, orbitCanvas.width, orbitCanvas.height);
+        const target = orbitTarget;
+        if (!inspecting) {
+            orbitInfo.textContent = '';
+            return;
+        }
+        if (formula !== 'quadratic') {
+            orbitInfo.textContent = 'Orbit inspection covers z² + c only.';
+            return;
+        }
+        if (!target || (target.kind === 'mandelbrot' && !splitView)) {
+            orbitInfo.textContent = 'Hover over a canvas to trace an orbit.';
+            return;
+        }
+
+        const canvas = target.kind === 'julia' ? juliaCanvas : mandelbrotCanvas;
+        const view = target.kind === 'julia' ? jView : mView;
+        const orbit = traceTarget(target);
+        orbitInfo.textContent = describeOrbit(target, orbit);
+
+        const { xMin, yMin, dx, dy } = FractalCore.viewBounds(view, canvas.width, canvas.height);
+        const rect = canvas.getBoundingClientRect();
+        const wrapRect = orbitCanvas.getBoundingClientRect();
+        const left = rect.left - wrapRect.left;
+        const top = rect.top - wrapRect.top;
+        const toX = (re) => left + (re - xMin) / dx;
+        const toY = (im) => top + (im - yMin) / dy;
+        const pts = orbit.points;
+        const count = pts.length / 2;
+        const shown = Math.min(count, ORBIT_PATH_POINTS);
+
+        oCtx.save();
+        oCtx.beginPath();
+        oCtx.rect(left, top, canvas.width, canvas.height);
+        oCtx.clip();
+
+        oCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        oCtx.lineWidth = 1;
+        oCtx.beginPath();
+        oCtx.moveTo(toX(pts[0]), toY(pts[1]));
+        for (let k = 1; k < shown; k++) oCtx.lineTo(toX(pts[2 * k]), toY(pts[2 * k + 1]));
+        oCtx.stroke();
+        oCtx.fillStyle = '#ffffff';
+        for (let k = 0; k < shown; k++) drawOrbitDot(toX(pts[2 * k]), toY(pts[2 * k + 1]), 2);
+
+        // The cycle a bounded orbit settled on is its last `period` iterates
+        oCtx.fillStyle = '#ffd166';
+        for (let k = count - orbit.period; k < count; k++) drawOrbitDot(toX(pts[2 * k]), toY(pts[2 * k + 1]), 4);
+
+        const tx = toX(target.re), ty = toY(target.im);
+        oCtx.strokeStyle = '#e94560';
+        oCtx.lineWidth = 2;
+        oCtx.beginPath();
+        oCtx.arc(tx, ty, 6, 0, Math.PI * 2);
+        oCtx.stroke();
+        if (target.kind === 'mandelbrot' && orbit.period) drawOrbitLabel(componentName(orbit.period), tx + 10, ty - 8);
+        oCtx.restore();
     }
 
     // --- Event handlers ---
@@ -273,14 +1834,14 @@
         cReal = parseFloat(cRealSlider.value);
         cRealVal.textContent = cReal.toFixed(4);
         updateStatus();
-        needsMandelbrot = true;
+        needsCrosshair = true;
         scheduleRender();
     });
     cImagSlider.addEventListener('input', () => {
         cImag = parseFloat(cImagSlider.value);
         cImagVal.textContent = cImag.toFixed(4);
         updateStatus();
-        needsMandelbrot = true;
+        needsCrosshair = true;
         scheduleRender();
     });
     iterSlider.addEventListener('input', () => {
@@ -291,39 +1852,221 @@
         scheduleRender();
     });
 
+    formulaSelect.addEventListener('change', () => {
+        setFormula(formulaSelect.value);
+    });
+
+    powerSlider.addEventListener('input', () => {
+        power = parseInt(powerSlider.value);
+        powerVal.textContent = power;
+        updateFormulaControls();
+        needsMandelbrot = true;
+        scheduleRender();
+    });
+
+    phoenixSlider.addEventListener('input', () => {
+        phoenixP = parseFloat(phoenixSlider.value);
+        phoenixVal.textContent = phoenixP.toFixed(2);
+        updateFormulaControls();
+        needsMandelbrot = true;
+        scheduleRender();
+    });
+
+    autoIterCheck.addEventListener('change', () => {
+        autoIter = autoIterCheck.checked;
+        updateStatus();
+        needsMandelbrot = true;
+        scheduleRender();
+    });
+
     presetSelect.addEventListener('change', () => {
         const p = presets[presetSelect.value];
         if (p) {
-            jView = { cx: 0, cy: 0, scale: 3 };
+            if (formula !== 'quadratic') setFormula('quadratic');
+            jView = makeView(JULIA_HOME);
             setC(p.re, p.im);
         }
     });
 
     colorSelect.addEventListener('change', () => {
+        if (colorSelect.value === 'custom' && !customStops) customStops = Gradients.fromFunction(palettes[colorScheme]);
         colorScheme = colorSelect.value;
-        needsMandelbrot = true;
-        scheduleRender();
+        selectedStop = null;
+        buildStopHandles();
+        paletteChanged();
+    });
+
+    exteriorSelect.addEventListener('change', () => {
+        exteriorMode = exteriorSelect.value;
+        coloringChanged();
+    });
+
+    interiorSelect.addEventListener('change', () => {
+        interiorMode = interiorSelect.value;
+        coloringChanged();
+    });
+
+    trapShapeSelect.addEventListener('change', () => {
+        trap.shape = trapShapeSelect.value;
+        coloringChanged();
+    });
+
+    trapXSlider.addEventListener('input', () => {
+        trap.x = parseFloat(trapXSlider.value);
+        coloringChanged();
+    });
+
+    trapYSlider.addEventListener('input', () => {
+        trap.y = parseFloat(trapYSlider.value);
+        coloringChanged();
+    });
+
+    trapRadiusSlider.addEventListener('input', () => {
+        trap.radius = parseFloat(trapRadiusSlider.value);
+        coloringChanged();
+    });
+
+    trapAngleSlider.addEventListener('input', () => {
+        trap.angle = parseInt(trapAngleSlider.value);
+        coloringChanged();
+    });
+
+    stripeSlider.addEventListener('input', () => {
+        stripeDensity = parseInt(stripeSlider.value);
+        coloringChanged();
+    });
+
+    gradientBar.addEventListener('dblclick', (e) => {
+        if (e.target !== gradientBar) return;
+        const stops = editCustomStops();
+        const pos = gradientPosition(e);
+        selectedStop = { pos, color: Gradients.evaluate(stops, pos) };
+        stops.push(selectedStop);
+        stops.sort((a, b) => a.pos - b.pos);
+        buildStopHandles();
+        paletteChanged();
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!draggingStop) return;
+        draggingStop.stop.pos = gradientPosition(e);
+        draggingStop.handle.style.left = `${draggingStop.stop.pos * 100}%`;
+        customStops.sort((a, b) => a.pos - b.pos);
+        paletteChanged();
+    });
+
+    window.addEventListener('mouseup', () => {
+        draggingStop = null;
+    });
+
+    stopColorInput.addEventListener('input', () => {
+        if (!selectedStop) return;
+        selectedStop.color = Gradients.fromHex(stopColorInput.value);
+        buildStopHandles();
+        paletteChanged();
+    });
+
+    stopDeleteBtn.addEventListener('click', () => {
+        if (!selectedStop || customStops.length <= 2) return;
+        customStops.splice(customStops.indexOf(selectedStop), 1);
+        selectedStop = null;
+        buildStopHandles();
+        paletteChanged();
+    });
+
+    bandSlider.addEventListener('input', () => {
+        setBandLength(parseFloat(bandSlider.value));
+        recolorLayers();
+    });
+
+    offsetSlider.addEventListener('input', () => {
+        setColorOffset(parseFloat(offsetSlider.value));
+        recolorLayers();
+    });
+
+    cycleSpeedSlider.addEventListener('input', () => {
+        cycleSpeedVal.textContent = `${cycleSpeed().toFixed(2)} bands/s`;
+    });
+
+    cycleBtn.addEventListener('click', () => {
+        cycling = !cycling;
+        cycleBtn.classList.toggle('active', cycling);
+        cycleBtn.textContent = cycling ? 'Stop Cycling' : 'Cycle Colors';
+        if (cycling) {
+            cycleLastFrame = performance.now();
+            requestAnimationFrame(cycleFrame);
+        }
     });
 
+    paletteImportBtn.addEventListener('click', () => paletteFile.click());
+
+    paletteFile.addEventListener('change', async () => {
+        const file = paletteFile.files[0];
+        if (!file) return;
+        paletteFile.value = '';
+        try {
+            const gradient = Gradients.parse(file.name, await file.text());
+            applyGradient(gradient);
+            paletteStatus.textContent = `Loaded ${gradient.stops.length} stops from ${file.name}.`;
+        } catch (err) {
+            paletteStatus.textContent = `Could not read ${file.name}: ${err.message}`;
+        }
+    });
+
+    paletteExportBtn.addEventListener('click', exportPalette);
+
     resetBtn.addEventListener('click', () => {
-        jView = { cx: 0, cy: 0, scale: 3 };
-        mView = { cx: -0.5, cy: 0, scale: 3.5 };
+        jView = makeView(JULIA_HOME);
+        mView = makeView(FORMULAS[formula].home);
         updateStatus();
         needsMandelbrot = true;
         scheduleRender();
     });
 
-    saveBtn.addEventListener('click', () => {
-        juliaCanvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.download = 'julia-set.png';
-            link.href = url;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-        }, 'image/png');
+    saveBtn.addEventListener('click', openExportDialog);
+
+    exportViewSelect.addEventListener('change', matchExportSize);
+    exportWidthInput.addEventListener('input', () => keepExportAspect(exportWidthInput));
+    exportHeightInput.addEventListener('input', () => keepExportAspect(exportHeightInput));
+    exportStartBtn.addEventListener('click', exportPoster);
+    exportCancelBtn.addEventListener('click', cancelPoster);
+    exportCloseBtn.addEventListener('click', closeExportDialog);
+    exportModal.addEventListener('click', (e) => {
+        if (e.target === exportModal) closeExportDialog();
+    });
+
+    tourPathSelect.addEventListener('change', refreshTourPath);
+    tourLoopCheck.addEventListener('change', refreshTourPath);
+
+    tourPickBtn.addEventListener('click', () => {
+        pickingWaypoints = !pickingWaypoints;
+        tourPickBtn.classList.toggle('active', pickingWaypoints);
+        if (pickingWaypoints && !splitView) splitBtn.click();
+        tourStatus.textContent = pickingWaypoints ? 'Click the parameter plane to add waypoints.' : '';
+        refreshTourPath();
+    });
+
+    tourClearBtn.addEventListener('click', () => {
+        tourWaypoints = [];
+        tourT = 0;
+        refreshTourPath();
+    });
+
+    tourDurationSlider.addEventListener('input', () => {
+        tourDurationVal.textContent = `${tourDuration()} s`;
+    });
+
+    tourPlayBtn.addEventListener('click', () => {
+        if (tourPlaying) pauseTour();
+        else playTour();
+    });
+
+    tourExportBtn.addEventListener('click', exportTourVideo);
+
+    rendererSelect.addEventListener('change', () => {
+        useGPU = rendererSelect.value === 'gpu';
+        needsMandelbrot = true;
+        scheduleRender();
     });
 
     splitBtn.addEventListener('click', () => {
@@ -331,6 +2074,36 @@
         splitBtn.classList.toggle('active', splitView);
         mandelbrotCanvas.classList.toggle('hidden', !splitView);
         resize();
+        noteStateChange();
+    });
+
+    backBtn.addEventListener('click', () => stepHistory(-1));
+    forwardBtn.addEventListener('click', () => stepHistory(1));
+    bookmarkAddBtn.addEventListener('click', addBookmark);
+    orbitInspectBtn.addEventListener('click', () => {
+        inspecting = !inspecting;
+        orbitInspectBtn.classList.toggle('active', inspecting);
+        orbitTarget = null;
+        orbitPinned = false;
+        drawOrbit();
+    });
+    copyLinkBtn.addEventListener('click', copyLink);
+
+    // Edited or pasted links
+    window.addEventListener('hashchange', () => {
+        const hash = location.hash.slice(1);
+        if (hash !== writtenHash) applyHash(hash);
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) step through view history
+    window.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (e.target instanceof HTMLInputElement && (e.target.type === 'number' || e.target.type === 'text')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            e.preventDefault();
+            stepHistory(key === 'y' || e.shiftKey ? 1 : -1);
+        }
     });
 
     // --- Zoom (mouse wheel) ---
@@ -341,16 +2114,13 @@
         const my = e.clientY - rect.top;
         const aspect = canvas.width / canvas.height;
 
-        // Mouse position in fractal coords
-        const fx = view.cx + (mx / canvas.width - 0.5) * view.scale * aspect;
-        const fy = view.cy + (my / canvas.height - 0.5) * view.scale;
-
         const factor = e.deltaY > 0 ? 1.15 : 1 / 1.15;
-        view.scale *= factor;
+        const scale = Math.max(MIN_SCALE, view.scale * factor);
 
         // Adjust center so cursor stays on same fractal point
-        view.cx = fx - (mx / canvas.width - 0.5) * view.scale * aspect;
-        view.cy = fy - (my / canvas.height - 0.5) * view.scale;
+        const shrink = view.scale - scale;
+        view.scale = scale;
+        moveCenter(view, (mx / canvas.width - 0.5) * aspect * shrink, (my / canvas.height - 0.5) * shrink);
 
         updateStatus();
     }
@@ -363,7 +2133,7 @@
     mandelbrotCanvas.addEventListener('wheel', (e) => {
         handleWheel(e, mandelbrotCanvas, mView);
         needsMandelbrot = true;
-        scheduleRender();
+        queueFrame();
     }, { passive: false });
 
     // --- Pan (click-drag) ---
@@ -371,7 +2141,7 @@
         dragging = true;
         dragCanvas = canvas;
         dragStart = { x: e.clientX, y: e.clientY };
-        dragViewStart = { cx: view.cx, cy: view.cy };
+        dragViewStart = saveCenter(view);
     }
 
     juliaCanvas.addEventListener('mousedown', (e) => {
@@ -383,17 +2153,20 @@
 
     window.addEventListener('mousemove', (e) => {
         if (!dragging) {
-            // Hover on Mandelbrot in split view
-            if (splitView) {
+            if (inspecting) {
+                if (!orbitPinned) {
+                    orbitTarget = orbitTargetAt(e);
+                    drawOrbit();
+                }
+                return;
+            }
+            // Hover on Mandelbrot in split view, unless a tour is driving c
+            if (splitView && !tourPlaying && !recording && !pickingWaypoints) {
                 const rect = mandelbrotCanvas.getBoundingClientRect();
                 if (e.clientX >= rect.left && e.clientX <= rect.right &&
                     e.clientY >= rect.top && e.clientY <= rect.bottom) {
-                    const mx = e.clientX - rect.left;
-                    const my = e.clientY - rect.top;
-                    const aspect = mandelbrotCanvas.width / mandelbrotCanvas.height;
-                    const fx = mView.cx + (mx / mandelbrotCanvas.width - 0.5) * mView.scale * aspect;
-                    const fy = mView.cy + (my / mandelbrotCanvas.height - 0.5) * mView.scale;
-                    setC(fx, fy);
+                    const p = canvasToFractal(mandelbrotCanvas, mView, e);
+                    setC(p.re, p.im);
                 }
             }
             return;
@@ -402,31 +2175,42 @@
         const dy = e.clientY - dragStart.y;
         const view = dragCanvas === juliaCanvas ? jView : mView;
         const aspect = dragCanvas.width / dragCanvas.height;
-        view.cx = dragViewStart.cx - dx / dragCanvas.width * view.scale * aspect;
-        view.cy = dragViewStart.cy - dy / dragCanvas.height * view.scale;
+        restoreCenter(view, dragViewStart);
+        moveCenter(view, -dx / dragCanvas.width * view.scale * aspect, -dy / dragCanvas.height * view.scale);
         updateStatus();
-        if (dragCanvas === mandelbrotCanvas) needsMandelbrot = true;
-        scheduleRender();
+        if (dragCanvas === mandelbrotCanvas) {
+            needsMandelbrot = true;
+            queueFrame();
+        } else {
+            scheduleRender();
+        }
     });
 
     window.addEventListener('mouseup', () => {
+        if (dragging) noteStateChange();
         dragging = false;
         dragCanvas = null;
     });
 
-    // Click on Mandelbrot to lock c
+    // Click on Mandelbrot to lock c, to add a tour waypoint or to pin an orbit
     mandelbrotCanvas.addEventListener('click', (e) => {
-        if (splitView) {
-            const rect = mandelbrotCanvas.getBoundingClientRect();
-            const mx = e.clientX - rect.left;
-            const my = e.clientY - rect.top;
-            const aspect = mandelbrotCanvas.width / mandelbrotCanvas.height;
-            const fx = mView.cx + (mx / mandelbrotCanvas.width - 0.5) * mView.scale * aspect;
-            const fy = mView.cy + (my / mandelbrotCanvas.height - 0.5) * mView.scale;
-            setC(fx, fy);
+        if (!splitView) return;
+        const p = canvasToFractal(mandelbrotCanvas, mView, e);
+        if (pickingWaypoints) {
+            tourWaypoints.push(p);
+            tourStatus.textContent = `${tourWaypoints.length} waypoint${tourWaypoints.length === 1 ? '' : 's'}.`;
+            refreshTourPath();
+        } else if (inspecting) {
+            toggleOrbitPin(e);
+        } else {
+            setC(p.re, p.im);
         }
     });
 
+    juliaCanvas.addEventListener('click', (e) => {
+        if (inspecting) toggleOrbitPin(e);
+    });
+
     // --- Touch support ---
     juliaCanvas.addEventListener('touchstart', (e) => {
         if (e.touches.length === 1) {
@@ -442,18 +2226,37 @@
             const dy = t.clientY - dragStart.y;
             const view = dragCanvas === juliaCanvas ? jView : mView;
             const aspect = dragCanvas.width / dragCanvas.height;
-            view.cx = dragViewStart.cx - dx / dragCanvas.width * view.scale * aspect;
-            view.cy = dragViewStart.cy - dy / dragCanvas.height * view.scale;
+            restoreCenter(view, dragViewStart);
+            moveCenter(view, -dx / dragCanvas.width * view.scale * aspect, -dy / dragCanvas.height * view.scale);
             updateStatus();
             scheduleRender();
         }
     }, { passive: true });
 
-    window.addEventListener('touchend', () => { dragging = false; });
+    window.addEventListener('touchend', () => {
+        if (dragging) noteStateChange();
+        dragging = false;
+    });
 
     // --- Init ---
     window.addEventListener('resize', resize);
+    createWorkers();
+    gpu = GLRenderer.create();
+    if (!gpu) {
+        useGPU = false;
+        rendererSelect.value = 'cpu';
+        rendererSelect.querySelector('option[value="gpu"]').disabled = true;
+    }
+    buildPaletteTable();
+    paintGradientBar();
+    buildStopHandles();
     resize();
+    updateFormulaControls();
+    updateColoringControls();
+    applyHash(location.hash.slice(1));
+    renderBookmarks();
+    updateHistoryButtons();
     updateStatus();
     scheduleRender();
+    if (new URLSearchParams(location.search).has('glcheck')) requestAnimationFrame(glSelfCheck);
 })();
@@ -0,0 +1,54 @@
+// Julia Set Explorer - PNG text metadata
+// Splices tEXt chunks into an encoded PNG right after its IHDR chunk, so
+// exported images carry the parameters that produced them.
+const PNGText = (function () {
+    const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+    const IHDR_END = 8 + 4 + 4 + 13 + 4; // signature, length, type, header data, crc
+
+    const crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+    }
+
+    function crc32(bytes) {
+        let c = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
+    // tEXt is Latin-1; anything outside it becomes '?'
+    function latin1(text) {
+        return Array.from(text, ch => ch.charCodeAt(0) < 256 ? ch.charCodeAt(0) : 63);
+    }
+
+    function textChunk(keyword, text) {
+        if (!/^[\x20-\x7e]{1,79}$/.test(keyword)) throw new Error(`Invalid PNG text keyword "${keyword}"`);
+        const data = [...latin1('tEXt'), ...latin1(keyword), 0, ...latin1(text)];
+        const length = data.length - 4;
+        const chunk = new Uint8Array(data.length + 8);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, length);
+        chunk.set(data, 4);
+        view.setUint32(chunk.length - 4, crc32(chunk.subarray(4, chunk.length - 4)));
+        return chunk;
+    }
+
+    // entries: [[keyword, text], ...]
+    function addText(png, entries) {
+        if (!SIGNATURE.every((b, i) => png[i] === b)) throw new Error('Not a PNG file');
+        const chunks = entries.map(([keyword, text]) => textChunk(keyword, text));
+        const out = new Uint8Array(png.length + chunks.reduce((sum, c) => sum + c.length, 0));
+        out.set(png.subarray(0, IHDR_END), 0);
+        let offset = IHDR_END;
+        chunks.forEach(c => {
+            out.set(c, offset);
+            offset += c.length;
+        });
+        out.set(png.subarray(IHDR_END), offset);
+        return out;
+    }
+
+    return { crc32, addText };
+})();